@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// QuantC command line client. Speaks the same encrypted format as the web app
+// and the same API protocol (via client/quantc-core.js), so files sent from one open in the other.
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { pipeline } = require("stream/promises");
+const QuantC = loadCore();
+
+const {
+  SHARD_SIZE, CURRENT_FORMAT, LINK_KDF, UPLOAD_CONCURRENCY,
+  deriveKey, getFormat, randomBytes, decryptMetadata, decryptSnippet, bundleEntries,
+  sealShard, encryptMetadata, encryptManifest, decryptManifest,
+  generateLinkKey, linkAccessSecret, buildShareLink, parseShareLink, hexToBytes, bytesToHex,
+  parseRecipientKey, wrapKeyForRecipient,
+  runPool, withRetry, apiRequest, uploadShard, fetchShards,
+} = QuantC;
+
+// The packed CLI carries a copy of the core (made by the prepack script);
+// run from a checkout it uses the web app's file directly
+function loadCore() {
+  try {
+    return require("./quantc-core.js");
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") throw error;
+    return require("../client/quantc-core.js");
+  }
+}
+
+// --- CONFIG ---
+const DEFAULT_SERVER = process.env.QUANTC_SERVER || "https://quantc-3.onrender.com";
+const DEFAULT_WEB_URL = process.env.QUANTC_WEB_URL || "https://quantcarya.vercel.app/";
+const MIN_PASSWORD_LENGTH = 6;
+
+const USAGE = `Usage:
+  quantc upload <file> [options]
+      --link                 Share by link instead of a key phrase (the key lives in the link)
+      --to <key link>        Encrypt for a recipient's public key instead (repeat for several);
+                             they open it in the web app with the code alone
+      --downloads <n>        Download limit, 0 for unlimited (default 0)
+      --expires <minutes>    Lifetime in minutes (default 2880 = 48 hours)
+      --lockout <action:n>   lock:10, lock:5, destroy:5, ... (default lock:10)
+  quantc get <code|link> [options]
+      -o, --output <path>    Where to save (default: the original file name;
+                             a bundle of several files becomes a directory,
+                             a text snippet is printed to stdout)
+      -f, --force            Overwrite an existing file or write into an existing directory
+
+Common options:
+      --server <url>         API server (env QUANTC_SERVER, default ${DEFAULT_SERVER})
+      --web <url>            Web app used in share links (env QUANTC_WEB_URL)
+
+The key phrase is read from QUANTC_PASSWORD, from piped stdin, or prompted for.
+Progress goes to stderr; the code, link and manage token go to stdout.`;
+
+// --- COMMANDS ---
+async function upload(filePath, options) {
+  const server = options.server;
+  const stat = await fs.promises.stat(filePath).catch(() => null);
+  if (!stat || !stat.isFile()) throw new Error(`No such file: ${filePath}`);
+  if (stat.size === 0) throw new Error("File is empty");
+
+  const [lockoutAction, maxFailedAttempts] = (options.lockout || "lock:10").split(":");
+  const limits = {
+    maxDownloads: Number(options.downloads || 0),
+    lifetimeMinutes: Number(options.expires || 2880),
+    lockoutAction,
+    maxFailedAttempts: Number(maxFailedAttempts),
+  };
+
+  if (options.link && options.to) throw new Error("Use either --link or --to, not both");
+  const recipients = options.to ? [...new Set(options.to.map(parseRecipientKey))] : null;
+  if (recipients && recipients.includes(null)) throw new Error("--to expects a recipient key link from the web app");
+
+  // Links and recipients both use a random file key instead of a key phrase
+  const randomKey = Boolean(options.link || recipients);
+  const password = randomKey ? null : await readPassword("Key phrase: ");
+  if (!randomKey && password.length < MIN_PASSWORD_LENGTH) throw new Error(`Key phrase must be ${MIN_PASSWORD_LENGTH}+ characters`);
+
+  const format = getFormat(CURRENT_FORMAT);
+  const fileSalt = randomBytes(16);
+  const linkKey = randomKey ? generateLinkKey() : null;
+  const kdf = linkKey ? LINK_KDF : format.kdf;
+  progress.status("Deriving key...");
+  const key = await deriveKey(linkKey || password, fileSalt, kdf);
+
+  const totalShards = Math.ceil(stat.size / SHARD_SIZE);
+  // Same request key on every retry, so a lost response doesn't open a second session
+  const requestKey = bytesToHex(randomBytes(16));
+  const { sessionId } = await withRetry(() => apiRequest(server, "POST", "/api/uploads", { requestKey, totalShards, size: stat.size }));
+  const handle = await fs.promises.open(filePath, "r");
+  const entries = {};
+
+  try {
+    const indexes = Array.from({ length: totalShards }, (_, index) => index);
+    progress.start("Uploading", stat.size);
+    await runPool(indexes, UPLOAD_CONCURRENCY, async (index) => {
+      const start = index * SHARD_SIZE;
+      const chunk = Buffer.alloc(Math.min(SHARD_SIZE, stat.size - start));
+      await handle.read(chunk, 0, chunk.length, start);
+
+      const { stored, entry } = await sealShard(key, index, chunk);
+      const onRetry = (attempt) => progress.note(`retrying part ${index + 1} (attempt ${attempt + 1})`);
+      const shardId = await withRetry(() => uploadShard(server, sessionId, index, stored), onRetry);
+      await withRetry(() => apiRequest(server, "PUT", `/api/uploads/${sessionId}/parts/${index}`, { shardId }), onRetry);
+
+      entries[index] = entry;
+      progress.add(chunk.length);
+    });
+  } finally {
+    await handle.close();
+  }
+
+  progress.status("Finalizing...");
+  const result = await apiRequest(server, "POST", "/api/finalize-upload", {
+    password: linkKey ? await linkAccessSecret(linkKey) : password,
+    encryptedMeta: await encryptMetadata(key, { name: path.basename(filePath), type: "" }),
+    encryptedManifest: await encryptManifest(key, entries, totalShards),
+    sessionId,
+    salt: bytesToHex(fileSalt),
+    version: CURRENT_FORMAT,
+    kdf,
+    chunkSize: SHARD_SIZE,
+    recipients: recipients ? await Promise.all(recipients.map((publicKey) => wrapKeyForRecipient(linkKey, publicKey))) : undefined,
+    ...limits,
+  });
+  progress.done();
+
+  console.log(`Code:         ${result.code}`);
+  if (options.link) console.log(`Link:         ${buildShareLink(options.web, result.code, linkKey)}`);
+  console.log(`Expires:      ${new Date(result.expiresAt).toLocaleString()}`);
+  console.log(`Manage token: ${result.manageToken}`);
+}
+
+async function get(target, options) {
+  const server = options.server;
+  const link = parseShareLink(target);
+  const code = link ? link.code : target;
+  if (!/^\d{6}$/.test(code)) throw new Error("Expected a 6-digit code or a share link");
+
+  const password = link ? link.linkKey : await readPassword("Key phrase: ");
+  const accessSecret = link ? await linkAccessSecret(link.linkKey) : password;
+
+  progress.status("Locating...");
+  let metaData;
+  try {
+    metaData = await apiRequest(server, "POST", "/api/retrieve-meta", { code, password: accessSecret });
+  } catch (error) {
+    throw new Error(describeAccessError(error));
+  }
+
+  const format = getFormat(metaData.version);
+  const key = await deriveKey(password, hexToBytes(metaData.salt), metaData.kdf || format.kdf);
+
+  // Text snippets arrive with the metadata: printed, or written to --output
+  if (metaData.snippet) {
+    const text = await decryptSnippet(key, metaData.snippet);
+    progress.done();
+    if (options.output) {
+      if (!options.force && fs.existsSync(options.output)) throw new Error(`${options.output} already exists (use --force to overwrite)`);
+      await fs.promises.writeFile(options.output, text);
+      console.log(`Saved text to ${options.output}`);
+    } else {
+      process.stdout.write(text.endsWith("\n") ? text : `${text}\n`);
+    }
+    if (metaData.downloadsLeft === 0) console.error("That was the last view, the text is now destroyed.");
+    return;
+  }
+
+  const fileMeta = await decryptMetadata(key, metaData);
+  const manifest = format.manifest ? await decryptManifest(key, metaData.encryptedManifest) : null;
+  const totalShards = manifest ? Math.max(manifest.totalShards, metaData.totalParts) : metaData.totalParts;
+  const totalBytes = manifest ? manifest.shards.reduce((sum, entry) => sum + (entry ? entry.size : 0), 0) : null;
+
+  // Never trust the stored name as a path: only its last segment is used
+  const output = options.output || path.basename(fileMeta.name || `quantc-${code}`);
+  if (!options.force && fs.existsSync(output)) throw new Error(`${output} already exists (use --force to overwrite)`);
+
+  // Shards are written at their plaintext offset into a temp file, renamed once all of them check out
+  const partial = `${output}.quantc-part`;
+  const handle = await fs.promises.open(partial, "w");
+  try {
+    const indexes = Array.from({ length: totalShards }, (_, index) => index);
+    const download = { code, key, format, manifest, token: metaData.downloadToken };
+    progress.start("Downloading", totalBytes);
+    await fetchShards(server, download, indexes, async (index, plaintext) => {
+      const data = new Uint8Array(plaintext);
+      await handle.write(data, 0, data.byteLength, index * metaData.chunkSize);
+    }, (count) => progress.add(count));
+    await handle.close();
+    if (fileMeta.files) await extractBundle(partial, fileMeta, output);
+    else await fs.promises.rename(partial, output);
+  } catch (error) {
+    await handle.close().catch(() => {});
+    await fs.promises.rm(partial, { force: true });
+    throw error;
+  }
+  progress.done();
+
+  if (fileMeta.files) {
+    const size = fileMeta.files.reduce((sum, file) => sum + file.size, 0);
+    console.log(`Saved ${fileMeta.files.length} files to ${output}${path.sep} (${formatBytes(size)})`);
+  } else {
+    console.log(`Saved ${output} (${formatBytes((await fs.promises.stat(output)).size)})`);
+  }
+  if (metaData.downloadsLeft === 0) console.log("That was the last download, the file is now destroyed.");
+}
+
+// A bundle downloads as one stream like any file; its manifest then splits it into a directory
+async function extractBundle(partial, fileMeta, directory) {
+  await fs.promises.mkdir(directory, { recursive: true });
+  for (const entry of bundleEntries(fileMeta)) {
+    // bundleEntries already refused any path that could leave the directory
+    const target = path.join(directory, ...entry.path.split("/"));
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    if (entry.size === 0) {
+      await fs.promises.writeFile(target, "");
+      continue;
+    }
+    const source = fs.createReadStream(partial, { start: entry.offset, end: entry.offset + entry.size - 1 });
+    await pipeline(source, fs.createWriteStream(target));
+  }
+  await fs.promises.rm(partial);
+}
+
+// Same wording as the web app's retrieve alert
+function describeAccessError(error) {
+  const data = error.data || {};
+  if (data.locked) return "Locked: too many wrong key phrases were tried, this file can no longer be opened.";
+  if (data.destroyed) return "Destroyed: too many wrong key phrases were tried, the file has been deleted.";
+  if (data.attemptsLeft !== undefined) {
+    let text = `Wrong key phrase. ${data.attemptsLeft} attempt${data.attemptsLeft === 1 ? "" : "s"} remaining`;
+    return text + (data.retryAfter ? `, next one in ${data.retryAfter}s.` : ".");
+  }
+  if (data.retryAfter) return `Slow down. Try again in ${data.retryAfter}s.`;
+  return error.message;
+}
+
+// --- KEY PHRASE INPUT ---
+// QUANTC_PASSWORD wins, then piped stdin (first line), then a prompt on the terminal with echo off.
+async function readPassword(prompt) {
+  if (process.env.QUANTC_PASSWORD) return process.env.QUANTC_PASSWORD;
+
+  if (!process.stdin.isTTY) {
+    let input = "";
+    for await (const chunk of process.stdin) input += chunk;
+    return input.split(/\r?\n/)[0];
+  }
+
+  return new Promise((resolve, reject) => {
+    let input = "";
+    process.stderr.write(prompt);
+    process.stdin.setRawMode(true);
+    process.stdin.setEncoding("utf8");
+    const onData = (keys) => {
+      for (const char of keys) {
+        if (char === "\r" || char === "\n") {
+          finish();
+          return resolve(input);
+        }
+        if (char === "\u0003") {
+          finish();
+          return reject(new Error("Cancelled"));
+        }
+        if (char === "\u007f" || char === "\b") input = input.slice(0, -1);
+        else input += char;
+      }
+    };
+    const finish = () => {
+      process.stdin.setRawMode(false);
+      process.stdin.off("data", onData);
+      process.stdin.pause();
+      process.stderr.write("\n");
+    };
+    process.stdin.on("data", onData).resume();
+  });
+}
+
+// --- PROGRESS (stderr) ---
+const progress = {
+  label: "",
+  total: null,
+  bytes: 0,
+  start(label, total) {
+    this.label = label;
+    this.total = total;
+    this.bytes = 0;
+    this.render();
+  },
+  add(count) {
+    this.bytes += count;
+    this.render();
+  },
+  render() {
+    let line = `${this.label} ${formatBytes(this.bytes)}`;
+    if (this.total) line += ` / ${formatBytes(this.total)} (${Math.min(100, Math.round((this.bytes / this.total) * 100))}%)`;
+    this.status(line);
+  },
+  note(text) {
+    this.status(`${this.label}: ${text}`);
+  },
+  status(text) {
+    if (process.stderr.isTTY) process.stderr.write(`\r\x1b[K${text}`);
+    else process.stderr.write(`${text}\n`);
+  },
+  done() {
+    if (process.stderr.isTTY) process.stderr.write("\n");
+  },
+};
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// --- MAIN ---
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      link: { type: "boolean" },
+      to: { type: "string", multiple: true },
+      downloads: { type: "string" },
+      expires: { type: "string" },
+      lockout: { type: "string" },
+      output: { type: "string", short: "o" },
+      force: { type: "boolean", short: "f" },
+      server: { type: "string", default: DEFAULT_SERVER },
+      web: { type: "string", default: DEFAULT_WEB_URL },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command, target] = positionals;
+  values.server = values.server.replace(/\/+$/, "");
+
+  if (values.help || !target) return console.log(USAGE);
+  if (command === "upload") return upload(target, values);
+  if (command === "get") return get(target, values);
+  throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+}
+
+main().catch((error) => {
+  progress.done();
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,484 @@
+/* QuantC core: the encrypted file format and the API transfer protocol, shared by the web app
+   (script.js) and the CLI (cli/quantc.js).
+   Loaded with a plain <script> tag it defines window.QuantC, under Node it is a CommonJS module. */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory();
+    else root.QuantC = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+    const webcrypto = globalThis.crypto && globalThis.crypto.subtle ? globalThis.crypto : require("crypto").webcrypto;
+
+    const SHARD_SIZE = 9 * 1024 * 1024; // 9MB Chunks (Safe for Free Tier)
+    const MAX_SNIPPET_BYTES = 64 * 1024; // Text snippets, UTF-8 (the server's default cap)
+
+    // Crypto envelope versions. Every file records its version + KDF so old uploads keep
+    // decrypting after defaults change. v1: legacy PBKDF2 100k, v2: PBKDF2 600k,
+    // v3: v2 + an encrypted shard manifest (index, size, SHA-256) checked before reassembly.
+    // All use the same shard layout (12-byte IV prefix + AES-GCM ciphertext).
+    const FORMATS = {
+        1: { kdf: { name: "PBKDF2", hash: "SHA-256", iterations: 100000 }, decryptShard: decryptBlock },
+        2: { kdf: { name: "PBKDF2", hash: "SHA-256", iterations: 600000 }, decryptShard: decryptBlock },
+        3: { kdf: { name: "PBKDF2", hash: "SHA-256", iterations: 600000 }, decryptShard: decryptBlock, manifest: true },
+    };
+    const CURRENT_FORMAT = 3;
+    // Share-link uploads use a random key as-is, there is no key phrase to stretch
+    const LINK_KDF = { name: "RAW" };
+
+    // Network retry
+    const MAX_ATTEMPTS = 5;
+    const RETRY_BASE_DELAY = 1000;
+    // Shards in flight at once
+    const UPLOAD_CONCURRENCY = 3;
+    const DOWNLOAD_CONCURRENCY = 4;
+
+    // --- CRYPTO HELPERS ---
+    async function deriveKey(password, salt, kdf = FORMATS[1].kdf) {
+        if (kdf.name === LINK_KDF.name) {
+            return webcrypto.subtle.importKey("raw", base64UrlToBytes(password), { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+        }
+        if (kdf.name !== "PBKDF2") throw new Error(`Unsupported key derivation (${kdf.name}). Update QuantC to open this file.`);
+        const enc = new TextEncoder();
+        const keyMaterial = await webcrypto.subtle.importKey(
+            "raw", enc.encode(password), { name: "PBKDF2" }, false, ["deriveKey"]
+        );
+        return webcrypto.subtle.deriveKey(
+            { name: "PBKDF2", salt: salt, iterations: kdf.iterations, hash: kdf.hash },
+            keyMaterial, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]
+        );
+    }
+
+    function getFormat(version = 1) {
+        const format = FORMATS[version];
+        if (!format) throw new Error(`Unsupported file format v${version}. Update QuantC to open this file.`);
+        return format;
+    }
+
+    function randomBytes(length) {
+        return webcrypto.getRandomValues(new Uint8Array(length));
+    }
+
+    // AES-GCM with a fresh 12-byte IV, returned as IV + ciphertext
+    async function encryptBlock(key, data) {
+        const iv = randomBytes(12);
+        const encrypted = await webcrypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, data);
+
+        const combined = new Uint8Array(iv.length + encrypted.byteLength);
+        combined.set(iv);
+        combined.set(new Uint8Array(encrypted), iv.length);
+        return combined;
+    }
+
+    async function decryptBlock(key, buffer) {
+        const bytes = new Uint8Array(buffer);
+        try {
+            return await webcrypto.subtle.decrypt(
+                { name: "AES-GCM", iv: bytes.slice(0, 12) }, key, bytes.slice(12)
+            );
+        } catch (e) {
+            throw new Error("Decryption failed. Wrong password?");
+        }
+    }
+
+    // File name and type travel as one encrypted JSON blob so the server never sees them.
+    // A bundle adds `files`: [{ path, size, type }] in the order their bytes are concatenated.
+    async function encryptMetadata(key, { name, type, files }) {
+        const json = JSON.stringify(files ? { name, type, files } : { name, type });
+        return bytesToHex(await encryptBlock(key, new TextEncoder().encode(json)));
+    }
+
+    // Falls back to the plaintext fields of records uploaded before metadata was encrypted
+    async function decryptMetadata(key, metaData) {
+        if (!metaData.encryptedMeta) return { name: metaData.originalName, type: metaData.mimeType };
+        return parseSealedJson(await decryptBlock(key, hexToBytes(metaData.encryptedMeta)), "File details");
+    }
+
+    // The sender chose these bytes, so parse errors (which quote the input) are not passed on
+    function parseSealedJson(bytes, what) {
+        try {
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            throw new Error(`${what} are malformed`);
+        }
+    }
+
+    // A text snippet is a single encrypted block kept in the file record, no shards involved
+    async function encryptSnippet(key, text) {
+        return bytesToHex(await encryptBlock(key, new TextEncoder().encode(text)));
+    }
+
+    async function decryptSnippet(key, hex) {
+        return new TextDecoder().decode(await decryptBlock(key, hexToBytes(hex)));
+    }
+
+    async function sha256Hex(data) {
+        return bytesToHex(new Uint8Array(await webcrypto.subtle.digest("SHA-256", data)));
+    }
+
+    // Encrypts one plaintext shard into its stored form plus its manifest entry
+    async function sealShard(key, index, plaintext) {
+        const stored = await encryptBlock(key, plaintext);
+        return { stored, entry: { index, size: stored.byteLength, sha256: await sha256Hex(stored) } };
+    }
+
+    // The manifest is sealed with the file key, so the server can't forge or reorder entries.
+    // `entries` maps shard index -> { index, size, sha256 }.
+    async function encryptManifest(key, entries, totalShards) {
+        const shards = [];
+        for (let index = 0; index < totalShards; index++) shards.push(entries[index]);
+        const json = JSON.stringify({ totalShards, shards });
+        return bytesToHex(await encryptBlock(key, new TextEncoder().encode(json)));
+    }
+
+    async function decryptManifest(key, encryptedManifest) {
+        if (!encryptedManifest) throw new Error("Integrity manifest missing");
+        return parseSealedJson(await decryptBlock(key, hexToBytes(encryptedManifest)), "Integrity manifest contents");
+    }
+
+    // Compares a downloaded shard with its manifest entry. Returns a problem description or null.
+    async function checkShard(manifest, index, buffer) {
+        const hash = await sha256Hex(buffer);
+        const expected = manifest.shards[index];
+        if (!expected) return `part ${index + 1} is not in the manifest`;
+        if (expected.sha256 === hash && expected.size === buffer.byteLength) return null;
+
+        const match = manifest.shards.find(entry => entry.sha256 === hash);
+        if (match) return `part ${index + 1} is out of order (holds part ${match.index + 1})`;
+        return `part ${index + 1} is corrupted`;
+    }
+
+    // --- BUNDLES ---
+    // Several files (or a folder) upload as one stream of their bytes back to back; the encrypted
+    // metadata lists them. These turn that list into byte ranges of the stream and shard indexes.
+    // Paths come normalized to "/"-separated relative form; one that could escape wherever
+    // the files are unpacked (zip, CLI directory) makes the whole bundle refuse to open.
+    function bundleEntries(meta) {
+        let offset = 0;
+        return meta.files.map(file => {
+            const entry = { ...file, path: bundlePathSegments(file.path).join("/"), offset };
+            offset += file.size;
+            return entry;
+        });
+    }
+
+    // Paths come from the sender: "..", drive letters and empty paths are refused
+    function bundlePathSegments(relativePath) {
+        const segments = String(relativePath).split(/[\\/]+/).filter(segment => segment && segment !== ".");
+        if (segments.length === 0 || segments.includes("..") || /^[a-zA-Z]:$/.test(segments[0])) {
+            throw new Error("Refusing a bundle with an unsafe file path");
+        }
+        return segments;
+    }
+
+    // Shard indexes holding bytes [offset, offset + size) of the plaintext stream
+    function shardsForRange(offset, size, chunkSize) {
+        if (size === 0) return [];
+        const first = Math.floor(offset / chunkSize);
+        const last = Math.floor((offset + size - 1) / chunkSize);
+        return Array.from({ length: last - first + 1 }, (_, i) => first + i);
+    }
+
+    // The part of a decrypted shard that falls inside an entry, and where it goes in that entry
+    function sliceForEntry(entry, index, chunkSize, data) {
+        const shardStart = index * chunkSize;
+        const from = Math.max(entry.offset, shardStart);
+        const to = Math.min(entry.offset + entry.size, shardStart + data.byteLength);
+        if (to <= from) return null;
+        return { position: from - entry.offset, bytes: new Uint8Array(data, from - shardStart, to - from) };
+    }
+
+    // --- SHARE LINKS ---
+    // Link mode skips the key phrase: a random AES key is generated and travels only in the
+    // URL fragment (#r=<code>.<key>), which browsers never send to the server. The server gets
+    // a hash of the key as the "password", so it can still gate access without learning the key.
+    function generateLinkKey() {
+        return bytesToBase64Url(randomBytes(32));
+    }
+
+    async function linkAccessSecret(linkKey) {
+        return sha256Hex(new TextEncoder().encode(`quantc-link:${linkKey}`));
+    }
+
+    function buildShareLink(pageUrl, code, linkKey) {
+        return `${pageUrl}#r=${code}.${linkKey}`;
+    }
+
+    // Accepts a full link or just its fragment. Returns { code, linkKey } or null.
+    function parseShareLink(text) {
+        const match = String(text).match(/#r=(\d{6})\.([A-Za-z0-9_-]{43})$/);
+        return match ? { code: match[1], linkKey: match[2] } : null;
+    }
+
+    // --- RECIPIENT KEYS ---
+    // A recipient keeps an ECDH P-256 keypair made in their own browser and publishes the public
+    // half as a link (#pk=<key>), recognised by its fingerprint: the SHA-256 of the raw key.
+    // An upload for recipients uses a random file key like a share link, and wraps it once per
+    // recipient: a throwaway ECDH key agreed with theirs gives (via HKDF) a one-off AES-GCM key
+    // that seals the file key. Only the matching private key can open it again.
+    const RECIPIENT_CURVE = { name: "ECDH", namedCurve: "P-256" };
+
+    // Resolves to { publicKey: base64url raw key, privateKey: CryptoKey }. The private key is made
+    // non-extractable, so it can be stored (IndexedDB takes CryptoKeys) but never read back out.
+    async function generateRecipientKeys() {
+        const pair = await webcrypto.subtle.generateKey(RECIPIENT_CURVE, false, ["deriveBits"]);
+        return {
+            publicKey: bytesToBase64Url(new Uint8Array(await webcrypto.subtle.exportKey("raw", pair.publicKey))),
+            privateKey: pair.privateKey,
+        };
+    }
+
+    function recipientFingerprint(publicKey) {
+        return sha256Hex(base64UrlToBytes(publicKey));
+    }
+
+    function buildRecipientLink(pageUrl, publicKey) {
+        return `${pageUrl}#pk=${publicKey}`;
+    }
+
+    // Accepts a recipient link or the bare key (65-byte uncompressed point, 87 base64url chars)
+    function parseRecipientKey(text) {
+        const match = String(text).trim().match(/(?:^|#pk=)([A-Za-z0-9_-]{87})$/);
+        return match ? match[1] : null;
+    }
+
+    // Resolves to the { fingerprint, ephemeralKey, wrappedKey } entry stored with the file
+    async function wrapKeyForRecipient(linkKey, publicKey) {
+        const recipient = await webcrypto.subtle.importKey("raw", base64UrlToBytes(publicKey), RECIPIENT_CURVE, false, []);
+        const ephemeral = await webcrypto.subtle.generateKey(RECIPIENT_CURVE, true, ["deriveBits"]);
+        const ephemeralKey = bytesToBase64Url(new Uint8Array(await webcrypto.subtle.exportKey("raw", ephemeral.publicKey)));
+        const wrapKey = await recipientWrapKey(ephemeral.privateKey, recipient, ephemeralKey, publicKey);
+        return {
+            fingerprint: await recipientFingerprint(publicKey),
+            ephemeralKey,
+            wrappedKey: bytesToHex(await encryptBlock(wrapKey, base64UrlToBytes(linkKey))),
+        };
+    }
+
+    // `keys` is what generateRecipientKeys returned. Resolves to the file key, usable as a link key.
+    async function unwrapKeyForRecipient(entry, keys) {
+        const ephemeral = await webcrypto.subtle.importKey("raw", base64UrlToBytes(entry.ephemeralKey), RECIPIENT_CURVE, false, []);
+        const wrapKey = await recipientWrapKey(keys.privateKey, ephemeral, entry.ephemeralKey, keys.publicKey);
+        try {
+            return bytesToBase64Url(new Uint8Array(await decryptBlock(wrapKey, hexToBytes(entry.wrappedKey))));
+        } catch (e) {
+            throw new Error("This file was not encrypted for your key");
+        }
+    }
+
+    // Both public keys go into the HKDF info, binding the wrap key to this exact pair
+    async function recipientWrapKey(privateKey, publicKey, ephemeralKey, recipientKey) {
+        const secret = await webcrypto.subtle.deriveBits({ name: "ECDH", public: publicKey }, privateKey, 256);
+        const material = await webcrypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+        return webcrypto.subtle.deriveKey(
+            { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new TextEncoder().encode(`quantc-recipient:${ephemeralKey}:${recipientKey}`) },
+            material, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]
+        );
+    }
+
+    // --- ENCODING ---
+    function bytesToBase64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    function base64UrlToBytes(text) {
+        const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+        const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
+    }
+
+    function hexToBytes(hex) {
+        return new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+    }
+
+    function bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // --- TRANSFER HELPERS ---
+    // Runs worker(item) for every item with at most `limit` in flight.
+    // Stops handing out work after the first failure and rejects with it.
+    async function runPool(items, limit, worker) {
+        let next = 0;
+        let failed = false;
+        const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (!failed && next < items.length) {
+                try {
+                    await worker(items[next++]);
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+            }
+        });
+        await Promise.all(lanes);
+    }
+
+    // Retries a flaky network step with exponential backoff (1s, 2s, 4s, ... plus jitter).
+    // Errors marked `fatal` (4xx answers) are not worth retrying.
+    async function withRetry(task, onRetry) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await task(attempt);
+            } catch (error) {
+                if (error.fatal || attempt >= MAX_ATTEMPTS) throw error;
+                if (onRetry) onRetry(attempt);
+                const delay = RETRY_BASE_DELAY * 2 ** (attempt - 1) + Math.random() * 500;
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    // --- API ---
+    // JSON call to the API at `server`. Throws with the server's message and its reply as `data`;
+    // 4xx errors are flagged fatal, and so is a 429 that names its wait (quota windows outlast
+    // any retry). Pass `token` to authenticate as the owner (manage token).
+    async function apiRequest(server, method, path, body, token) {
+        const headers = {};
+        if (body) headers["Content-Type"] = "application/json";
+        if (token) headers["Authorization"] = `Bearer ${token}`;
+        const res = await fetch(`${server}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            const error = new Error(data.message || data.error || `Request failed (${res.status})`);
+            error.fatal = (res.status >= 400 && res.status < 500 && res.status !== 429) || Boolean(data.retryAfter);
+            error.data = data;
+            throw error;
+        }
+        return data;
+    }
+
+    // Stores one encrypted shard of an upload session and resolves with its shard id.
+    // Upload signatures are single-use, so every call (retries included) asks for its own. The
+    // target's multipart `fields` mean a provider form upload, otherwise the bytes are posted raw.
+    async function uploadShard(server, sessionId, index, data) {
+        const target = await apiRequest(server, "POST", "/api/sign-upload", { sessionId, index });
+        if (!target.url) throw new Error("Server signature failed");
+
+        const url = target.url.startsWith("/") ? `${server}${target.url}` : target.url;
+        let init;
+        if (target.fields) {
+            const body = new FormData();
+            body.append("file", new Blob([data]), "shard.dat"); // .dat extension is key!
+            Object.entries(target.fields).forEach(([name, value]) => body.append(name, value));
+            init = { method: "POST", body };
+        } else {
+            init = { method: "POST", headers: { "Content-Type": "application/octet-stream" }, body: new Blob([data]) };
+        }
+
+        const res = await fetch(url, init);
+        if (!res.ok) {
+            const error = new Error(`Shard upload failed (${res.status})`);
+            error.fatal = res.status >= 400 && res.status < 500 && res.status !== 429;
+            throw error;
+        }
+        return (await res.json())[target.idField];
+    }
+
+    // Downloads, verifies and decrypts shards in parallel, handing each plaintext to
+    // onShard(index, data) as it is ready and received byte counts to onBytes. `download` is
+    // { code, token, key, format, manifest } from a retrieval. Missing or altered shards are
+    // collected and reported together at the end.
+    async function fetchShards(server, download, indexes, onShard, onBytes = () => {}) {
+        const { manifest } = download;
+        const problems = [];
+
+        await runPool(indexes, DOWNLOAD_CONCURRENCY, async (index) => {
+            // Shards are served by index, only to holders of this retrieval's token
+            const res = await fetch(`${server}/api/files/${encodeURIComponent(download.code)}/parts/${index}`, {
+                headers: { Authorization: `Bearer ${download.token}` }
+            });
+            // Download tokens are short-lived; bundles save files on demand and can outlast theirs
+            if (res.status === 401) throw new Error("Download access expired. Retrieve the file again to continue.");
+            if (res.status === 404 && manifest) return problems.push({ index, text: `part ${index + 1} is missing` });
+            if (!res.ok) throw new Error(`Download failed (${res.status})`);
+            const buffer = await readWithProgress(res, onBytes);
+
+            if (manifest) {
+                const problem = await checkShard(manifest, index, buffer);
+                if (problem) return problems.push({ index, text: problem });
+            }
+            await onShard(index, await download.format.decryptShard(download.key, buffer));
+        });
+
+        if (problems.length > 0) {
+            const report = problems.sort((a, b) => a.index - b.index).map(p => p.text).join(", ");
+            throw new Error(`Integrity check failed: ${report}`);
+        }
+    }
+
+    // Reads a response body into an ArrayBuffer, reporting bytes as they arrive
+    async function readWithProgress(res, onBytes) {
+        if (!res.body) {
+            const buffer = await res.arrayBuffer();
+            onBytes(buffer.byteLength);
+            return buffer;
+        }
+
+        const reader = res.body.getReader();
+        const chunks = [];
+        let length = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            length += value.length;
+            onBytes(value.length);
+        }
+
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return bytes.buffer;
+    }
+
+    return {
+        SHARD_SIZE,
+        MAX_SNIPPET_BYTES,
+        FORMATS,
+        CURRENT_FORMAT,
+        LINK_KDF,
+        UPLOAD_CONCURRENCY,
+        deriveKey,
+        getFormat,
+        randomBytes,
+        encryptBlock,
+        decryptBlock,
+        encryptMetadata,
+        decryptMetadata,
+        encryptSnippet,
+        decryptSnippet,
+        sha256Hex,
+        sealShard,
+        encryptManifest,
+        decryptManifest,
+        checkShard,
+        bundleEntries,
+        bundlePathSegments,
+        shardsForRange,
+        sliceForEntry,
+        generateLinkKey,
+        linkAccessSecret,
+        buildShareLink,
+        parseShareLink,
+        generateRecipientKeys,
+        recipientFingerprint,
+        buildRecipientLink,
+        parseRecipientKey,
+        wrapKeyForRecipient,
+        unwrapKeyForRecipient,
+        bytesToBase64Url,
+        base64UrlToBytes,
+        hexToBytes,
+        bytesToHex,
+        runPool,
+        withRetry,
+        apiRequest,
+        uploadShard,
+        fetchShards,
+    };
+});
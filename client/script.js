@@ -1,7 +1,35 @@
 document.addEventListener("DOMContentLoaded", () => {
     // --- CONFIGURATION ---
     const API_BASE_URL = 'https://quantc-3.onrender.com'; // Update with your Render URL
-    const SHARD_SIZE = 9 * 1024 * 1024; // 9MB Chunks (Safe for Free Tier)
+    const {
+        SHARD_SIZE, MAX_SNIPPET_BYTES, CURRENT_FORMAT, LINK_KDF, UPLOAD_CONCURRENCY,
+        deriveKey, getFormat, randomBytes, encryptBlock, decryptBlock, encryptMetadata, decryptMetadata,
+        encryptSnippet, decryptSnippet,
+        sealShard, encryptManifest, decryptManifest, bundleEntries, shardsForRange, sliceForEntry,
+        generateLinkKey, linkAccessSecret, buildShareLink, parseShareLink, hexToBytes, bytesToHex,
+        generateRecipientKeys, recipientFingerprint, buildRecipientLink, parseRecipientKey,
+        wrapKeyForRecipient, unwrapKeyForRecipient,
+        runPool, withRetry, apiRequest, uploadShard, fetchShards,
+    } = window.QuantC; // quantc-core.js
+    const { createZipWriter } = window.QuantCZip; // zip.js
+
+    // Upload resume
+    const PENDING_UPLOAD_KEY = "quantc.pendingUpload";
+
+    // Manage tokens of this browser's uploads
+    const MY_UPLOADS_KEY = "quantc.myUploads";
+
+    // This browser's recipient key: { publicKey } here, the non-extractable private CryptoKey in IndexedDB
+    const RECIPIENT_KEYS_KEY = "quantc.recipientKeys";
+    const KEY_DB_NAME = "quantc";
+    const KEY_DB_STORE = "keys";
+    const RECIPIENT_PRIVATE_KEY_ID = "recipient";
+
+    // Previews decrypt into memory, so only files up to this size get one
+    const PREVIEW_MAX_BYTES = 64 * 1024 * 1024;
+    // Syntax highlighting gets slow past this; longer text is shown plain
+    const HIGHLIGHT_MAX_CHARS = 200000;
+    const HIGHLIGHT_THEME_URL = "https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css";
 
     // Wake up server
     fetch(`${API_BASE_URL}/api/health`).catch(() => {});
@@ -10,6 +38,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const uploadForm = document.getElementById("upload-form");
     const retrieveForm = document.getElementById("retrieve-form");
     const fileInput = document.getElementById("file-input");
+    const folderInput = document.getElementById("folder-input");
     const fileNameDisplay = document.getElementById("file-name-display");
     const uploadResult = document.getElementById("upload-result");
     const generatedCodeSpan = document.getElementById("generated-code");
@@ -20,112 +49,92 @@ document.addEventListener("DOMContentLoaded", () => {
     const copyBtn = document.getElementById("copy-btn");
     const uploadModeBtn = document.getElementById("upload-mode-btn");
     const retrieveModeBtn = document.getElementById("retrieve-mode-btn");
-
-    // --- CRYPTO HELPERS ---
-    async function deriveKey(password, salt) {
-        const enc = new TextEncoder();
-        const keyMaterial = await window.crypto.subtle.importKey(
-            "raw", enc.encode(password), { name: "PBKDF2" }, false, ["deriveKey"]
-        );
-        return window.crypto.subtle.deriveKey(
-            { name: "PBKDF2", salt: salt, iterations: 100000, hash: "SHA-256" },
-            keyMaterial, { name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]
-        );
-    }
-
-    function hexToBytes(hex) {
-        return new Uint8Array(hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-    }
-    
-    function bytesToHex(bytes) {
-        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-    }
+    const textModeBtn = document.getElementById("text-mode-btn");
+    const folderPick = document.querySelector(".folder-pick");
+    const snippetGroup = document.getElementById("snippet-group");
+    const snippetInput = document.getElementById("snippet-input");
+    const snippetView = document.getElementById("snippet-view");
+    const snippetText = document.getElementById("snippet-text");
+    const snippetCopyBtn = document.getElementById("snippet-copy-btn");
+    const recipientModeToggle = document.getElementById("recipient-mode-toggle");
+    const recipientGroup = document.getElementById("recipient-group");
+    const recipientKeysInput = document.getElementById("recipient-keys");
+    const myKeyBtn = document.getElementById("my-key-btn");
+    const myKeyView = document.getElementById("my-key-view");
+    const myKeyText = document.getElementById("my-key-text");
+    const myKeyActions = document.getElementById("my-key-actions");
+    const maxDownloadsSelect = document.getElementById("upload-max-downloads");
+    const expiryNote = document.getElementById("expiry-note");
+    const lifetimeSelect = document.getElementById("upload-lifetime");
+    const retrieveInfo = document.getElementById("retrieve-info");
+    const timeLeftSpan = document.getElementById("time-left");
+    const extendBtn = document.getElementById("extend-btn");
+    const extendSelect = document.getElementById("extend-select");
+    const savePromptBtn = document.getElementById("save-prompt-btn");
+    const lockoutSelect = document.getElementById("upload-lockout");
+    const retrieveAlert = document.getElementById("retrieve-alert");
+    const retrieveAlertText = document.getElementById("retrieve-alert-text");
+    const myUploadsBtn = document.getElementById("my-uploads-btn");
+    const manageFileBtn = document.getElementById("manage-file-btn");
+    const manageView = document.getElementById("manage-view");
+    const manageList = document.getElementById("manage-list");
+    const manageBackBtn = document.getElementById("manage-back-btn");
+    const linkModeToggle = document.getElementById("link-mode-toggle");
+    const shareLinkBox = document.getElementById("share-link-box");
+    const shareLinkSpan = document.getElementById("share-link");
+    const copyLinkBtn = document.getElementById("copy-link-btn");
+    const bundleView = document.getElementById("bundle-view");
+    const bundleSummary = document.getElementById("bundle-summary");
+    const bundleList = document.getElementById("bundle-list");
+    const bundleZipBtn = document.getElementById("bundle-zip-btn");
+    const previewView = document.getElementById("preview-view");
+    const previewName = document.getElementById("preview-name");
+    const previewFrame = document.getElementById("preview-frame");
+    const previewSaveBtn = document.getElementById("preview-save-btn");
+    const previewCloseBtn = document.getElementById("preview-close-btn");
 
     // --- UPLOAD LOGIC ---
     if(uploadForm) {
         uploadForm.addEventListener('submit', async (e) => {
             e.preventDefault();
-            const file = fileInput.files[0];
             const password = document.getElementById('upload-password').value;
+            const linkMode = linkModeToggle.checked;
+            const recipientMode = recipientModeToggle.checked;
+            const textMode = uploadCard.classList.contains('text-mode');
+            const [lockoutAction, maxFailedAttempts] = lockoutSelect.value.split(":");
+            const limits = {
+                maxDownloads: Number(maxDownloadsSelect.value),
+                lifetimeMinutes: Number(lifetimeSelect.value),
+                lockoutAction,
+                maxFailedAttempts: Number(maxFailedAttempts)
+            };
             
-            if (!file) return showToast("Please select a file.", "error");
-            if (password.length < 6) return showToast("Password must be 6+ chars.", "error");
+            if (textMode && !snippetInput.value.trim()) return showToast("Please enter some text.", "error");
+            if (!textMode && selectedFiles.length === 0) return showToast("Please select a file.", "error");
+            if (!linkMode && !recipientMode && password.length < 6) return showToast("Password must be 6+ chars.", "error");
+            const recipients = recipientMode ? readRecipientKeys() : null;
+            if (recipientMode && !recipients) return;
 
             toggleLoading('upload-card', true, "Initializing...");
 
             try {
-                // 1. Get Signature
-                const sigRes = await fetch(`${API_BASE_URL}/api/sign-upload`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({})
-                });
-                const sigData = await sigRes.json();
-                if(!sigData.signature) throw new Error("Server signature failed");
-
-                // 2. Encryption Setup
-                const fileSalt = window.crypto.getRandomValues(new Uint8Array(16));
-                const key = await deriveKey(password, fileSalt);
-                
-                const totalShards = Math.ceil(file.size / SHARD_SIZE);
-                let currentShard = 0;
-                let uploadedUrls = [];
-
-                // 3. Process & Upload Chunks
-                for (let start = 0; start < file.size; start += SHARD_SIZE) {
-                    currentShard++;
-                    const end = Math.min(start + SHARD_SIZE, file.size);
-                    const chunkBlob = file.slice(start, end);
-                    const chunkBuffer = await chunkBlob.arrayBuffer();
-
-                    const progress = Math.round((currentShard / totalShards) * 100);
-                    updateLoadingText(`Encrypting Part ${currentShard}/${totalShards} (${progress}%)`);
-
-                    // Encrypt
-                    const iv = window.crypto.getRandomValues(new Uint8Array(12));
-                    const encryptedChunk = await window.crypto.subtle.encrypt(
-                        { name: "AES-GCM", iv: iv }, key, chunkBuffer
-                    );
-
-                    // Combine IV + Data
-                    const combinedBuffer = new Uint8Array(iv.length + encryptedChunk.byteLength);
-                    combinedBuffer.set(iv);
-                    combinedBuffer.set(new Uint8Array(encryptedChunk), iv.length);
-
-                    updateLoadingText(`Uploading Part ${currentShard}/${totalShards}...`);
-                    
-                    // Upload Shard
-                    const response = await uploadShard(combinedBuffer, sigData);
-                    uploadedUrls.push(response.secure_url);
-                }
-
-                // 4. Finalize
-                updateLoadingText("Finalizing...");
-                const finalRes = await fetch(`${API_BASE_URL}/api/finalize-upload`, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify({
-                        password: password,
-                        originalName: file.name,
-                        mimeType: file.type,
-                        parts: uploadedUrls,
-                        salt: bytesToHex(fileSalt),
-                        iv: "sharded"
-                    })
-                });
-
-                const finalData = await finalRes.json();
+                // Link and recipient uploads encrypt with a random key; only link mode hands it out
+                const access = { password, randomKey: linkMode || recipientMode, recipients };
+                const { finalData, linkKey, name } = textMode
+                    ? await uploadSnippet(snippetInput.value, access, limits)
+                    : await uploadFiles(access, limits);
                 toggleLoading('upload-card', false);
-                
-                if(finalData.success) {
-                    uploadForm.classList.add('hidden');
-                    uploadResult.classList.remove('hidden');
-                    generatedCodeSpan.innerText = finalData.code;
-                    showToast("Upload Complete!", "success");
-                    gsap.fromTo("#upload-result", {opacity: 0, y: 20}, {opacity: 1, y: 0, duration: 0.5});
-                } else {
-                    showToast("Save Failed", "error");
-                }
+
+                rememberUpload({ code: finalData.code, manageToken: finalData.manageToken, name, maxExpiresAt: finalData.maxExpiresAt });
+                uploadForm.classList.add('hidden');
+                uploadResult.classList.remove('hidden');
+                generatedCodeSpan.innerText = finalData.code;
+                shareLinkBox.classList.toggle('hidden', !linkMode);
+                if (linkMode) shareLinkSpan.innerText = buildShareLink(`${location.origin}${location.pathname}`, finalData.code, linkKey);
+                expiryNote.innerHTML = describeLimits(limits.lifetimeMinutes * 60 * 1000, limits.maxDownloads);
+                if (recipients) showToast(`Encrypted for ${recipients.length} recipient${recipients.length === 1 ? "" : "s"}. Send them the code.`, "success");
+                else showToast(textMode ? "Text Secured!" : "Upload Complete!", "success");
+                gsap.fromTo("#upload-result", {opacity: 0, y: 20}, {opacity: 1, y: 0, duration: 0.5});
 
             } catch (error) {
                 console.error(error);
@@ -135,27 +144,173 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
 
-    // Helper: Upload Shard (XHR for Raw Binary Support)
-    function uploadShard(data, sigData) {
-        return new Promise((resolve, reject) => {
-            const xhr = new XMLHttpRequest();
-            const url = `https://api.cloudinary.com/v1_1/${sigData.cloudName}/raw/upload`;
-            
-            xhr.open("POST", url, true);
-            const formData = new FormData();
-            formData.append("file", new Blob([data]), "shard.dat"); // .dat extension is key!
-            formData.append("api_key", sigData.apiKey);
-            formData.append("timestamp", sigData.timestamp);
-            formData.append("signature", sigData.signature);
-            formData.append("folder", "quantc_shards");
-
-            xhr.onload = () => {
-                if (xhr.status >= 200 && xhr.status < 300) resolve(JSON.parse(xhr.responseText));
-                else reject(new Error("Cloud upload failed"));
-            };
-            xhr.onerror = () => reject(new Error("Network Error"));
-            xhr.send(formData);
+    // Encrypts and uploads the selected files shard by shard, then registers them.
+    // `access` is { password, randomKey, recipients }. Resolves to { finalData, linkKey, name } for the result view.
+    async function uploadFiles(access, limits) {
+        // 1. Open (or resume) an upload session + encryption setup
+        const source = buildUploadSource(selectedFiles);
+        const totalShards = Math.ceil(source.blob.size / SHARD_SIZE);
+        const session = await openUploadSession(source, access.password, totalShards, access.randomKey);
+        const { key, fileSalt } = session;
+
+        // 2. Encrypt & Upload Chunks in parallel (skipping shards the server already has)
+        const pendingShards = [];
+        for (let index = 0; index < totalShards; index++) {
+            if (!session.received.has(index)) pendingShards.push(index);
+        }
+        let doneShards = totalShards - pendingShards.length;
+
+        await runPool(pendingShards, UPLOAD_CONCURRENCY, async (index) => {
+            const start = index * SHARD_SIZE;
+            const chunkBuffer = await source.blob.slice(start, Math.min(start + SHARD_SIZE, source.blob.size)).arrayBuffer();
+
+            // Encrypt (IV + Data) and fingerprint the stored bytes for the manifest
+            const { stored: combinedBuffer, entry } = await sealShard(key, index, chunkBuffer);
+            const onRetry = (attempt) => updateLoadingText(`Retrying Part ${index + 1}/${totalShards} (attempt ${attempt + 1})...`);
+
+            // Upload Shard (signatures are single-use, so every attempt gets its own)
+            const shardId = await withRetry(() => uploadShard(API_BASE_URL, session.sessionId, index, combinedBuffer), onRetry);
+
+            // 3. Tell the server, so a reload can pick up from here
+            await withRetry(() => apiRequest(API_BASE_URL, "PUT", `/api/uploads/${session.sessionId}/parts/${index}`, { shardId }), onRetry);
+            rememberShard(session, entry);
+
+            doneShards++;
+            updateLoadingText(`Uploading ${doneShards}/${totalShards} Parts (${Math.round((doneShards / totalShards) * 100)}%)`);
+        });
+
+        // 4. Finalize (policy and validation errors come back as the server's message)
+        updateLoadingText("Finalizing...");
+        const finalData = await apiRequest(API_BASE_URL, "POST", "/api/finalize-upload", {
+            password: session.linkKey ? await linkAccessSecret(session.linkKey) : access.password,
+            encryptedMeta: await encryptMetadata(key, source.meta),
+            encryptedManifest: await encryptManifest(key, session.shards, totalShards),
+            sessionId: session.sessionId,
+            salt: bytesToHex(fileSalt),
+            version: session.version,
+            kdf: session.kdf,
+            chunkSize: SHARD_SIZE,
+            recipients: await wrapForRecipients(session.linkKey, access.recipients),
+            ...limits
         });
+        localStorage.removeItem(PENDING_UPLOAD_KEY);
+        return { finalData, linkKey: session.linkKey, name: source.meta.name };
+    }
+
+    // Short text skips the shard round-trip: it is encrypted as one block with the same
+    // key derivation and stored in the file record itself
+    async function uploadSnippet(text, access, limits) {
+        if (new TextEncoder().encode(text).length > MAX_SNIPPET_BYTES) {
+            throw new Error(`Text is limited to ${formatBytes(MAX_SNIPPET_BYTES)}, share it as a file instead`);
+        }
+        const format = getFormat(CURRENT_FORMAT);
+        const fileSalt = randomBytes(16);
+        const linkKey = access.randomKey ? generateLinkKey() : undefined;
+        const kdf = linkKey ? LINK_KDF : format.kdf;
+        updateLoadingText("Encrypting...");
+        const key = await deriveKey(linkKey || access.password, fileSalt, kdf);
+
+        const finalData = await apiRequest(API_BASE_URL, "POST", "/api/snippets", {
+            password: linkKey ? await linkAccessSecret(linkKey) : access.password,
+            snippet: await encryptSnippet(key, text),
+            salt: bytesToHex(fileSalt),
+            version: CURRENT_FORMAT,
+            kdf,
+            recipients: await wrapForRecipients(linkKey, access.recipients),
+            ...limits
+        });
+        return { finalData, linkKey, name: "Text snippet" };
+    }
+
+    // Helper: Result note for the chosen lifetime and download limit
+    function describeLimits(lifetimeMs, maxDownloads) {
+        let note = `<strong>Note:</strong> This code is valid for ${formatDuration(lifetimeMs)} only`;
+        if (maxDownloads === 1) note += " and burns after the first download";
+        else if (maxDownloads > 1) note += ` or ${maxDownloads} downloads, whichever comes first`;
+        return note + ".";
+    }
+
+    // What gets encrypted: one file as-is, or several files (a folder) back to back as a bundle
+    // whose file list rides in the encrypted metadata
+    function buildUploadSource(files) {
+        const fingerprint = files.map(({ file, path }) => `${path}:${file.size}:${file.lastModified}`).join("|");
+        if (files.length === 1 && !files[0].path.includes("/")) {
+            const { file } = files[0];
+            return { blob: file, meta: { name: file.name, type: file.type }, types: [file.type], fingerprint };
+        }
+
+        // A single dropped folder names the bundle
+        const roots = new Set(files.map(({ path }) => path.split("/")[0]));
+        const name = roots.size === 1 && files[0].path.includes("/") ? [...roots][0] : `quantc-${files.length}-files`;
+        return {
+            blob: new Blob(files.map(({ file }) => file)),
+            meta: { name, type: "", files: files.map(({ file, path }) => ({ path, size: file.size, type: file.type })) },
+            types: [...new Set(files.map(({ file }) => file.type))],
+            fingerprint,
+        };
+    }
+
+    // --- UPLOAD SESSIONS (retry + resume) ---
+    // An interrupted upload survives a reload: the session id, salt and KDF live in localStorage,
+    // the server remembers which shards arrived. Picking the same files again resumes it.
+    // In link mode the generated key stays in the pending record until finalize, so a resume can reuse it.
+    async function openUploadSession(source, password, totalShards, linkMode) {
+        const pending = JSON.parse(localStorage.getItem(PENDING_UPLOAD_KEY) || "null");
+
+        if (pending && pending.fingerprint === source.fingerprint && pending.version === CURRENT_FORMAT && Boolean(pending.linkKey) === linkMode) {
+            const fileSalt = hexToBytes(pending.salt);
+            const key = await deriveKey(pending.linkKey || password, fileSalt, pending.kdf);
+            const state = await apiRequest(API_BASE_URL, "GET", `/api/uploads/${pending.sessionId}`).catch(() => null);
+            let sameKey = true;
+            try { await decryptBlock(key, hexToBytes(pending.keyCheck)); } catch (e) { sameKey = false; }
+
+            if (state && sameKey) {
+                // Only skip shards whose manifest entry made it into localStorage too
+                const received = state.received.filter(index => pending.shards[index]);
+                showToast(`Resuming upload (${received.length}/${totalShards} parts already sent)`, "success");
+                return { ...pending, key, fileSalt, format: getFormat(pending.version), received: new Set(received) };
+            }
+            showToast(sameKey ? "Previous upload expired, starting over." : "Key phrase changed, starting a fresh upload.", "info");
+        }
+
+        updateLoadingText("Initializing...");
+        const format = getFormat(CURRENT_FORMAT);
+        const fileSalt = randomBytes(16);
+        const linkKey = linkMode ? generateLinkKey() : undefined;
+        const kdf = linkMode ? LINK_KDF : format.kdf;
+        const key = await deriveKey(linkKey || password, fileSalt, kdf);
+        // Size and type are checked against the server's upload policy before anything is sent.
+        // The request key lets a retry get the same session back instead of opening (and paying for) another.
+        const requestKey = bytesToHex(randomBytes(16));
+        const { sessionId } = await withRetry(() => apiRequest(API_BASE_URL, "POST", "/api/uploads", {
+            requestKey,
+            totalShards,
+            size: source.blob.size,
+            types: source.types,
+            files: source.meta.files ? source.meta.files.length : 1,
+            metaSize: new TextEncoder().encode(JSON.stringify(source.meta)).length
+        }));
+
+        const session = {
+            sessionId,
+            name: source.meta.name,
+            fingerprint: source.fingerprint,
+            salt: bytesToHex(fileSalt),
+            version: CURRENT_FORMAT,
+            kdf,
+            linkKey,
+            // Lets a resume detect a different key phrase before mixing shards from two keys
+            keyCheck: bytesToHex(await encryptBlock(key, new TextEncoder().encode("quantc"))),
+            shards: {}, // Manifest entries by index
+        };
+        localStorage.setItem(PENDING_UPLOAD_KEY, JSON.stringify(session));
+        return { ...session, key, fileSalt, format, received: new Set() };
+    }
+
+    function rememberShard(session, entry) {
+        session.shards[entry.index] = entry;
+        const { sessionId, name, fingerprint, salt, version, kdf, linkKey, keyCheck, shards } = session;
+        localStorage.setItem(PENDING_UPLOAD_KEY, JSON.stringify({ sessionId, name, fingerprint, salt, version, kdf, linkKey, keyCheck, shards }));
     }
 
     // --- RETRIEVE LOGIC ---
@@ -163,78 +318,834 @@ document.addEventListener("DOMContentLoaded", () => {
         retrieveForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             const code = document.getElementById('retrieve-code').value;
-            const password = document.getElementById('retrieve-password').value;
+            let password = document.getElementById('retrieve-password').value;
             
             toggleLoading('retrieve-card', true, "Locating...");
+            bundleView.classList.add('hidden');
+            snippetView.classList.add('hidden');
+            closePreview();
 
             try {
+                // 0. No key phrase, but a recipient key in this browser: unwrap the file key meant for it
+                if (!password && loadRecipientKeys()) {
+                    updateLoadingText("Unwrapping key...");
+                    password = retrieveLinkKey = await unwrapFileKey(code);
+                }
+                if (!password) throw new Error("Enter the key phrase.");
+                const accessSecret = await retrieveAccessSecret(password);
+
                 // 1. Get Metadata
                 const metaRes = await fetch(`${API_BASE_URL}/api/retrieve-meta`, {
                     method: "POST", headers: { "Content-Type": "application/json" },
-                    body: JSON.stringify({ code, password })
+                    body: JSON.stringify({ code, password: accessSecret })
                 });
                 const metaData = await metaRes.json();
+                showAccessState(metaData);
                 if(!metaData.success) throw new Error(metaData.message);
 
+                const format = getFormat(metaData.version);
                 const fileSalt = hexToBytes(metaData.salt);
-                const key = await deriveKey(password, fileSalt);
-                const decryptedParts = [];
-                
-                // 2. Download & Decrypt Each Shard
-                for (let i = 0; i < metaData.parts.length; i++) {
-                    updateLoadingText(`Downloading Part ${i+1}/${metaData.parts.length}...`);
-                    
-                    const rawUrl = metaData.parts[i];
-                    // USE PROXY to bypass CORS
-                    const proxyUrl = `${API_BASE_URL}/api/proxy?url=${encodeURIComponent(rawUrl)}`;
-                    
-                    const res = await fetch(proxyUrl);
-                    if (!res.ok) throw new Error("Download failed");
-                    const buffer = await res.arrayBuffer();
-
-                    updateLoadingText(`Decrypting Part ${i+1}...`);
-                    
-                    const iv = buffer.slice(0, 12);
-                    const data = buffer.slice(12);
-
-                    try {
-                        const decrypted = await window.crypto.subtle.decrypt(
-                            { name: "AES-GCM", iv: new Uint8Array(iv) }, 
-                            key, 
-                            data
-                        );
-                        decryptedParts.push(decrypted);
-                    } catch (e) {
-                        throw new Error("Decryption failed. Wrong password?");
-                    }
+                const key = await deriveKey(password, fileSalt, metaData.kdf || format.kdf);
+                showTimeLeft(metaData.expiresAt);
+                const lastDownload = metaData.downloadsLeft === 0;
+
+                // 2. A text snippet came with the metadata, there is nothing to download
+                if (metaData.snippet) {
+                    showSnippet(await decryptSnippet(key, metaData.snippet));
+                    showToast(lastDownload ? "Decrypted! That was the last view, the text is now destroyed." : "Decrypted!", "success");
+                    return;
+                }
+
+                const fileMeta = await decryptMetadata(key, metaData);
+                const manifest = format.manifest ? await decryptManifest(key, metaData.encryptedManifest) : null;
+                const download = {
+                    code, key, format, manifest,
+                    token: metaData.downloadToken,
+                    chunkSize: metaData.chunkSize,
+                    totalShards: manifest ? Math.max(manifest.totalShards, metaData.totalParts) : metaData.totalParts,
+                };
+
+                // 3a. A bundle lists its files; each is fetched on demand (the download token covers them all)
+                if (fileMeta.files) {
+                    showBundle(download, fileMeta, lastDownload);
+                    return;
+                }
+
+                // 3b. A previewable file is decrypted into memory and shown before it's saved
+                const indexes = Array.from({ length: download.totalShards }, (_, index) => index);
+                const kind = previewKind(fileMeta);
+                if (kind && plaintextSize(download) <= PREVIEW_MAX_BYTES) {
+                    const blob = await decryptToBlob(download, indexes, fileMeta.type);
+                    await showPreview(fileMeta, blob, kind);
+                    showToast(lastDownload
+                        ? "Decrypted! That was the last download: save it before leaving the page."
+                        : "Decrypted! Check the preview, then save.", "success");
+                    return;
                 }
 
-                // 3. Assemble & Save
-                updateLoadingText("Assembling...");
-                const finalBlob = new Blob(decryptedParts, { type: metaData.mimeType });
-                const url = window.URL.createObjectURL(finalBlob);
-                
-                const a = document.createElement("a");
-                a.style.display = "none";
-                a.href = url;
-                a.download = metaData.originalName;
-                document.body.appendChild(a);
-                a.click();
-                window.URL.revokeObjectURL(url);
-                a.remove();
-                
-                showToast("Download Complete!", "success");
+                // 3c. Anything else: pick where it goes, then Download, Verify & Decrypt its shards
+                await saveShards(download, fileMeta, indexes, (sink, index, data) => sink.write(index * download.chunkSize, data));
+
+                if (lastDownload) showToast("Download Complete! That was the last download, the file is now destroyed.", "success");
+                else showToast("Download Complete!", "success");
 
             } catch (error) {
                 console.error(error);
                 showToast(error.message, "error");
             } finally {
+                savePromptBtn.classList.add('hidden');
                 toggleLoading('retrieve-card', false);
             }
         });
     }
 
+    // Opens a save target for `fileMeta`, streams the given shards into it through `place`
+    // (sink, index, plaintext) and commits it. A failed download drops the partial file.
+    async function saveShards(download, fileMeta, indexes, place) {
+        const sink = await openSaveSink(fileMeta);
+        toggleLoading('retrieve-card', true, "Downloading...");
+        try {
+            await downloadShards(download, indexes, (index, data) => place(sink, index, data));
+            // Closing the disk stream commits the file
+            updateLoadingText(sink.streaming ? "Finishing..." : "Assembling...");
+            await sink.close();
+        } catch (error) {
+            await sink.abort().catch(() => {});
+            throw error;
+        }
+    }
+
+    // fetchShards with the byte progress shown in the loading overlay: exact when the manifest
+    // lists shard sizes, otherwise by received bytes only
+    function downloadShards(download, indexes, onShard) {
+        const { manifest } = download;
+        const totalBytes = manifest ? indexes.reduce((sum, index) => sum + (manifest.shards[index] ? manifest.shards[index].size : 0), 0) : null;
+        let receivedBytes = 0;
+        return fetchShards(API_BASE_URL, download, indexes, onShard, (count) => {
+            receivedBytes += count;
+            if (!totalBytes) return updateLoadingText(`Downloading ${formatBytes(receivedBytes)}...`);
+            const percent = Math.min(100, Math.round((receivedBytes / totalBytes) * 100));
+            updateLoadingText(`Downloading ${formatBytes(receivedBytes)} / ${formatBytes(totalBytes)} (${percent}%)`);
+        });
+    }
+
+    function showSnippet(text) {
+        snippetText.textContent = text;
+        snippetView.classList.remove('hidden');
+        gsap.fromTo(snippetView, {opacity: 0, y: 20}, {opacity: 1, y: 0, duration: 0.5});
+    }
+
+    if(snippetCopyBtn) snippetCopyBtn.addEventListener('click', () => {
+        navigator.clipboard.writeText(snippetText.textContent);
+        showToast("Text copied", "success");
+        gsap.to(snippetCopyBtn, { scale: 1.1, duration: 0.1, yoyo: true, repeat: 1 });
+    });
+
+    // --- BUNDLES (several files under one code) ---
+    function showBundle(download, fileMeta, lastDownload) {
+        const entries = bundleEntries(fileMeta);
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        bundleSummary.innerText = `${entries.length} files · ${formatBytes(totalSize)}`;
+        bundleList.innerHTML = "";
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <span class="bundle-path">${escapeHtml(entry.path)}</span>
+                <span class="bundle-size">${formatBytes(entry.size)}</span>`;
+            const entryMeta = { name: entry.path.split("/").pop(), type: entry.type };
+            const kind = previewKind(entryMeta);
+            if (kind && entry.size <= PREVIEW_MAX_BYTES) {
+                item.appendChild(actionButton("Preview", cardAction(() => previewBundleFile(download, entry, entryMeta, kind))));
+            }
+            item.appendChild(actionButton("Save", cardAction(() => saveBundleFile(download, entry), "Saved!")));
+            bundleList.appendChild(item);
+        });
+        bundleZipBtn.onclick = cardAction(() => saveBundleZip(download, fileMeta, entries), "Saved!");
+
+        bundleView.classList.remove('hidden');
+        gsap.fromTo(bundleView, {opacity: 0, y: 20}, {opacity: 1, y: 0, duration: 0.5});
+        showToast(lastDownload
+            ? "Decrypted! That was the last download: save what you need within a few minutes."
+            : "Decrypted! Pick files to save.", "success");
+    }
+
+    // Runs a retrieve card action on click. The click is a fresh user gesture, so a save picker opens straight away.
+    function cardAction(task, successMessage) {
+        return async () => {
+            toggleLoading('retrieve-card', true, "Preparing...");
+            try {
+                await task();
+                if (successMessage) showToast(successMessage, "success");
+            } catch (error) {
+                console.error(error);
+                showToast(error.message, "error");
+            } finally {
+                savePromptBtn.classList.add('hidden');
+                toggleLoading('retrieve-card', false);
+            }
+        };
+    }
+
+    // One file of the bundle: only the shards overlapping its byte range are fetched
+    async function previewBundleFile(download, entry, entryMeta, kind) {
+        const indexes = shardsForRange(entry.offset, entry.size, download.chunkSize);
+        const blob = await decryptToBlob(download, indexes, entry.type,
+            (index, data) => sliceForEntry(entry, index, download.chunkSize, data));
+        await showPreview(entryMeta, blob, kind);
+    }
+
+    async function saveBundleFile(download, entry) {
+        const indexes = shardsForRange(entry.offset, entry.size, download.chunkSize);
+        const name = entry.path.split("/").pop();
+        await saveShards(download, { name, type: entry.type }, indexes, (sink, index, data) => {
+            const slice = sliceForEntry(entry, index, download.chunkSize, data);
+            if (slice) return sink.write(slice.position, slice.bytes);
+        });
+    }
+
+    // Everything as one zip. Shards arrive in any order but the zip is written front to back,
+    // so they are released in index order and cut into entries at the file boundaries.
+    async function saveBundleZip(download, fileMeta, entries) {
+        const indexes = Array.from({ length: download.totalShards }, (_, index) => index);
+        let zipSink = null;
+        let position = 0;
+        const zip = createZipWriter((bytes) => {
+            const at = position;
+            position += bytes.length;
+            return zipSink.write(at, bytes);
+        });
+        const splitter = createBundleSplitter(entries, zip);
+
+        const ready = new Map();
+        let next = 0;
+        let written = Promise.resolve();
+        await saveShards(download, { name: `${fileMeta.name}.zip`, type: "application/zip" }, indexes, (sink, index, data) => {
+            zipSink = sink;
+            ready.set(index, data);
+            while (ready.has(next)) {
+                const chunk = new Uint8Array(ready.get(next));
+                ready.delete(next++);
+                written = written.then(() => splitter.write(chunk));
+            }
+            // Waiting here keeps at most a few shards buffered
+            if (next === indexes.length) written = written.then(() => splitter.finish());
+            return written;
+        });
+    }
+
+    // Feeds the bundle's concatenated bytes into the zip, one entry per listed file
+    function createBundleSplitter(entries, zip) {
+        let current = -1;
+        let left = 0; // Bytes still owed to the current entry
+
+        // Closes finished entries and opens the next ones (empty files included) until one needs bytes
+        async function advance() {
+            while (left === 0) {
+                if (current >= 0) await zip.end();
+                current++;
+                if (current >= entries.length) return false;
+                await zip.start(entries[current].path);
+                left = entries[current].size;
+            }
+            return true;
+        }
+
+        return {
+            async write(bytes) {
+                let pos = 0;
+                while (pos < bytes.length) {
+                    if (!(await advance())) throw new Error("Bundle holds more data than its file list");
+                    const take = Math.min(left, bytes.length - pos);
+                    await zip.write(bytes.subarray(pos, pos + take));
+                    pos += take;
+                    left -= take;
+                }
+            },
+            async finish() {
+                if (await advance()) throw new Error("Bundle is missing data");
+                await zip.finish();
+            },
+        };
+    }
+
+    // --- PREVIEW ---
+    // Decrypted content is shown in a sandboxed iframe navigated to a blob: URL. Without
+    // allow-same-origin the frame gets an opaque origin, so nothing it loads can reach this
+    // page, its storage or the API, and it gets no scripts either. The frame never gets the file
+    // under its declared type: that comes from the sender, and a blob: URL opened in a new tab runs
+    // on our origin. Images and text become static pages we write, audio and video are only ever
+    // played. PDFs are not previewed: browsers' built-in viewers are plugins, which sandboxed
+    // frames block.
+    const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp", "image/avif", "image/bmp", "image/svg+xml", "image/x-icon"];
+    const TEXT_TYPES = ["application/json", "application/javascript", "application/xml", "application/x-sh", "application/x-yaml", "application/sql"];
+    const TEXT_EXTENSIONS = ["txt", "md", "csv", "log", "json", "xml", "yml", "yaml", "toml", "ini", "conf", "env",
+        "js", "mjs", "cjs", "ts", "jsx", "tsx", "py", "rb", "go", "rs", "java", "kt", "c", "h", "cpp", "hpp", "cs",
+        "php", "swift", "sh", "bash", "ps1", "sql", "html", "css", "scss", "vue", "svelte", "lua", "r", "dart"];
+    let previewUrl = null;
+
+    // "image" | "audio" | "video" | "text", or null when there's no preview for it
+    function previewKind({ name, type }) {
+        const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+        if (IMAGE_TYPES.includes(type)) return "image";
+        if (type.startsWith("audio/")) return "audio";
+        if (type.startsWith("video/")) return "video";
+        if (type.startsWith("text/") || TEXT_TYPES.includes(type) || TEXT_EXTENSIONS.includes(extension)) return "text";
+        return null;
+    }
+
+    // Plaintext bytes behind the shards: AES-GCM adds a 12-byte IV and a 16-byte tag to each one
+    function plaintextSize(download) {
+        if (!download.manifest) return download.totalShards * download.chunkSize;
+        return download.manifest.shards.reduce((sum, entry) => sum + (entry ? entry.size - 28 : 0), 0);
+    }
+
+    // Downloads and decrypts shards into a Blob. `slice` picks the part of each shard that belongs in it.
+    async function decryptToBlob(download, indexes, type, slice = (index, data) => ({ position: index * download.chunkSize, bytes: data })) {
+        const pieces = [];
+        toggleLoading('retrieve-card', true, "Downloading...");
+        await downloadShards(download, indexes, (index, data) => {
+            const piece = slice(index, data);
+            if (piece) pieces.push(piece);
+        });
+        const ordered = pieces.sort((a, b) => a.position - b.position).map(piece => piece.bytes);
+        return new Blob(ordered, { type });
+    }
+
+    async function showPreview(fileMeta, blob, kind) {
+        closePreview();
+        previewUrl = URL.createObjectURL(await previewDocument(blob, kind, fileMeta.name));
+        previewFrame.src = previewUrl;
+        previewName.innerText = `${fileMeta.name} · ${formatBytes(blob.size)}`;
+        previewSaveBtn.onclick = cardAction(() => saveDecryptedBlob(blob, fileMeta), "Saved!");
+
+        previewView.classList.remove('hidden');
+        gsap.fromTo(previewView, {opacity: 0, y: 20}, {opacity: 1, y: 0, duration: 0.5});
+    }
+
+    function closePreview() {
+        previewView.classList.add('hidden');
+        previewFrame.src = "about:blank";
+        if (previewUrl) URL.revokeObjectURL(previewUrl);
+        previewUrl = null;
+    }
+
+    // What the frame is navigated to, typed by us rather than by the sender
+    async function previewDocument(blob, kind, name) {
+        if (kind === "text") return textPreviewDocument(blob, name);
+        if (kind === "image") return imagePreviewDocument(blob);
+        return blob; // audio/* or video/*
+    }
+
+    // A static page with a CSP that allows no script: `policy` adds the sources it may load
+    function staticDocument(policy, head, body) {
+        const html = `<!DOCTYPE html><html><head><meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'${policy}">
+${head}</head><body>${body}</body></html>`;
+        return new Blob([html], { type: "text/html;charset=utf-8" });
+    }
+
+    // Text and code: highlighted markup (highlight.js escapes its input) plus the highlighting theme
+    async function textPreviewDocument(blob, name) {
+        const text = await blob.text();
+        let markup;
+        if (text.includes("\u0000")) markup = "This file looks binary, save it to open it.";
+        else markup = highlightCode(text, name);
+
+        return staticDocument(` ${HIGHLIGHT_THEME_URL}`,
+            `<link rel="stylesheet" href="${HIGHLIGHT_THEME_URL}">
+<style>body{margin:0;background:#0d1117;color:#c9d1d9}pre{margin:0;padding:14px;font:13px/1.5 monospace;white-space:pre-wrap;word-break:break-word}</style>`,
+            `<pre><code class="hljs">${markup}</code></pre>`);
+    }
+
+    // Images (SVG included) go through <img>, which never runs script, as a data: URL
+    // since the frame's opaque origin can't load our blob: URLs
+    async function imagePreviewDocument(blob) {
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        return staticDocument("; img-src data:",
+            `<style>body{margin:0;height:100vh;display:flex;align-items:center;justify-content:center;background:#0d1117}img{max-width:100%;max-height:100%}</style>`,
+            `<img src="${dataUrl}" alt="">`);
+    }
+
+    function highlightCode(text, name) {
+        const hljs = window.hljs;
+        if (!hljs || text.length > HIGHLIGHT_MAX_CHARS) return escapeText(text);
+        const extension = name.includes(".") ? name.split(".").pop().toLowerCase() : "";
+        if (hljs.getLanguage(extension)) return hljs.highlight(text, { language: extension, ignoreIllegals: true }).value;
+        return hljs.highlightAuto(text).value;
+    }
+
+    function escapeText(text) {
+        return text.replace(/[&<>]/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[char]);
+    }
+
+    // Saving after a preview: the data is already decrypted, it just needs a destination
+    async function saveDecryptedBlob(blob, fileMeta) {
+        const sink = await openSaveSink(fileMeta);
+        try {
+            await sink.write(0, blob);
+            await sink.close();
+        } catch (error) {
+            await sink.abort().catch(() => {});
+            throw error;
+        }
+    }
+
+    if(previewCloseBtn) previewCloseBtn.addEventListener('click', closePreview);
+
+    // --- SAVING DECRYPTED DATA ---
+    // Decrypted data goes straight to disk where the File System Access API exists, written at
+    // its byte position so parallel shards can land in any order. Other browsers fall back
+    // to collecting the pieces in memory and saving one Blob at the end.
+    async function openSaveSink(fileMeta) {
+        if (!window.showSaveFilePicker) {
+            const pieces = [];
+            return {
+                streaming: false,
+                write: async (position, data) => { pieces.push({ position, data }); },
+                close: async () => {
+                    const ordered = pieces.sort((a, b) => a.position - b.position).map(piece => piece.data);
+                    saveBlob(new Blob(ordered, { type: fileMeta.type }), fileMeta.name);
+                },
+                abort: async () => { pieces.length = 0; },
+            };
+        }
+
+        const handle = await pickSaveFile(fileMeta.name);
+        const writable = await handle.createWritable();
+        let queue = Promise.resolve(); // The stream takes one write at a time
+        return {
+            streaming: true,
+            write: (position, data) => (queue = queue.then(() => writable.write({ type: "write", position, data }))),
+            close: () => queue.then(() => writable.close()),
+            abort: () => writable.abort(),
+        };
+    }
+
+    async function pickSaveFile(name) {
+        try {
+            return await window.showSaveFilePicker({ suggestedName: name });
+        } catch (error) {
+            if (error.name === "AbortError") throw new Error("Download cancelled");
+            // The picker needs a recent click; the one on "Decrypt" may have worn off by now
+            await waitForSaveClick();
+            try {
+                return await window.showSaveFilePicker({ suggestedName: name });
+            } catch (retryError) {
+                throw new Error(retryError.name === "AbortError" ? "Download cancelled" : retryError.message);
+            }
+        }
+    }
+
+    function waitForSaveClick() {
+        return new Promise(resolve => {
+            updateLoadingText("Decrypted file is ready to save");
+            savePromptBtn.classList.remove('hidden');
+            savePromptBtn.addEventListener('click', () => {
+                savePromptBtn.classList.add('hidden');
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    function saveBlob(blob, name) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.style.display = "none";
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        a.remove();
+    }
+
+    // Surfaces the brute-force protection state from a retrieve/extend response
+    function showAccessState(data) {
+        let text = null;
+        if (data.locked) text = "<strong>Locked.</strong> Too many wrong key phrases were tried, this file can no longer be opened.";
+        else if (data.destroyed) text = "<strong>Destroyed.</strong> Too many wrong key phrases were tried, the file has been deleted.";
+        else if (data.attemptsLeft !== undefined) {
+            text = `<strong>Wrong key phrase.</strong> ${data.attemptsLeft} attempt${data.attemptsLeft === 1 ? "" : "s"} remaining`;
+            text += data.retryAfter ? `, next one in ${data.retryAfter}s.` : ".";
+        }
+        else if (data.retryAfter) text = `<strong>Slow down.</strong> Try again in ${formatDuration(data.retryAfter * 1000)}.`;
+
+        retrieveAlert.classList.toggle('hidden', !text);
+        if (text) retrieveAlertText.innerHTML = text;
+    }
+
+    // --- OPENING SHARE LINKS ---
+    let retrieveLinkKey = null; // Key from the share link that filled the retrieve form
+
+    // What the server checks: the key phrase itself, or for share links a hash of the link key
+    function retrieveAccessSecret(password) {
+        return retrieveLinkKey && password === retrieveLinkKey ? linkAccessSecret(password) : password;
+    }
+
+    // #r=<code>.<key> fills the retrieve form and starts decrypting right away
+    function openShareLink() {
+        const link = parseShareLink(location.hash);
+        if (!link) return;
+        // Keep the key out of the address bar and history
+        history.replaceState(null, "", location.pathname + location.search);
+
+        retrieveLinkKey = link.linkKey;
+        document.getElementById('retrieve-code').value = link.code;
+        document.getElementById('retrieve-password').value = retrieveLinkKey;
+        setMode("retrieve");
+        retrieveForm.requestSubmit();
+    }
+
+    // --- RECIPIENT KEYS ---
+    // Files can be encrypted for a recipient's public key instead of a key phrase: the recipient
+    // makes a keypair here once and hands out its link; uploaders paste that link.
+    function loadRecipientKeys() {
+        return JSON.parse(localStorage.getItem(RECIPIENT_KEYS_KEY) || "null");
+    }
+
+    // Runs one request against the key store, e.g. store => store.get(id), and resolves to its result
+    function keyStoreRequest(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const open = indexedDB.open(KEY_DB_NAME, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(KEY_DB_STORE);
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                const db = open.result;
+                const transaction = db.transaction(KEY_DB_STORE, mode);
+                const request = makeRequest(transaction.objectStore(KEY_DB_STORE));
+                transaction.oncomplete = () => { db.close(); resolve(request.result); };
+                transaction.onerror = () => { db.close(); reject(transaction.error); };
+            };
+        });
+    }
+
+    async function createRecipientKeys() {
+        const { publicKey, privateKey } = await generateRecipientKeys();
+        await keyStoreRequest("readwrite", store => store.put(privateKey, RECIPIENT_PRIVATE_KEY_ID));
+        localStorage.setItem(RECIPIENT_KEYS_KEY, JSON.stringify({ publicKey }));
+    }
+
+    async function deleteRecipientKeys() {
+        localStorage.removeItem(RECIPIENT_KEYS_KEY);
+        await keyStoreRequest("readwrite", store => store.delete(RECIPIENT_PRIVATE_KEY_ID));
+    }
+
+    // Public keys from the recipients box, deduplicated. Toasts and returns null when one is unreadable.
+    function readRecipientKeys() {
+        const lines = recipientKeysInput.value.split(/\s+/).filter(Boolean);
+        if (lines.length === 0) {
+            showToast("Add at least one recipient key link.", "error");
+            return null;
+        }
+        const keys = lines.map(parseRecipientKey);
+        const unreadable = lines.find((line, index) => !keys[index]);
+        if (unreadable) {
+            showToast(`Not a recipient key: ${unreadable.slice(0, 40)}`, "error");
+            return null;
+        }
+        return [...new Set(keys)];
+    }
+
+    async function wrapForRecipients(linkKey, recipients) {
+        if (!recipients) return undefined;
+        return Promise.all(recipients.map(publicKey => wrapKeyForRecipient(linkKey, publicKey)));
+    }
+
+    async function unwrapFileKey(code) {
+        const { publicKey } = loadRecipientKeys();
+        const privateKey = await keyStoreRequest("readonly", store => store.get(RECIPIENT_PRIVATE_KEY_ID));
+        if (!privateKey) throw new Error("Your key's private half is missing from this browser. Delete the key and create a new one.");
+        const entry = await apiRequest(API_BASE_URL, "POST", "/api/recipient-key", { code, fingerprint: await recipientFingerprint(publicKey) });
+        return unwrapKeyForRecipient(entry, { publicKey, privateKey });
+    }
+
+    // First 32 hex digits in groups of four, enough to compare by eye
+    function formatFingerprint(fingerprint) {
+        return fingerprint.slice(0, 32).match(/.{4}/g).join(" ");
+    }
+
+    async function renderMyKey() {
+        const keys = loadRecipientKeys();
+        myKeyActions.innerHTML = "";
+        if (!keys) {
+            myKeyText.innerText = "Create a key so people can send you files without a key phrase. The private half stays in this browser; clearing its data loses the key and anything sent to it.";
+            myKeyActions.appendChild(actionButton("Create key", async () => {
+                await createRecipientKeys();
+                showToast("Key created. Share its link with people who send you files.", "success");
+                renderMyKey();
+            }));
+            return;
+        }
+
+        myKeyText.innerText = `Fingerprint: ${formatFingerprint(await recipientFingerprint(keys.publicKey))}. Files sent to this key open here with the code alone, leave the key phrase empty.`;
+        myKeyActions.appendChild(actionButton("Copy key link", () => {
+            navigator.clipboard.writeText(buildRecipientLink(`${location.origin}${location.pathname}`, keys.publicKey));
+            showToast("Key link copied", "success");
+        }));
+        myKeyActions.appendChild(actionButton("Delete key", async () => {
+            if (!confirm("Delete your key? Files already sent to it can no longer be opened.")) return;
+            await deleteRecipientKeys();
+            showToast("Key deleted", "info");
+            renderMyKey();
+        }));
+    }
+
+    if(myKeyBtn) myKeyBtn.addEventListener('click', () => {
+        const opening = myKeyView.classList.contains('hidden');
+        myKeyView.classList.toggle('hidden', !opening);
+        if (opening) renderMyKey();
+    });
+
+    // #pk=<key> (a recipient's key link) starts an upload encrypted for that key
+    function openRecipientLink() {
+        const publicKey = parseRecipientKey(location.hash);
+        if (!publicKey) return;
+        history.replaceState(null, "", location.pathname + location.search);
+
+        recipientModeToggle.checked = true;
+        linkModeToggle.checked = false;
+        if (!recipientKeysInput.value.includes(publicKey)) recipientKeysInput.value = `${recipientKeysInput.value.trim()}\n${publicKey}`.trim();
+        updateKeyMode();
+        recipientFingerprint(publicKey).then(fingerprint => {
+            showToast(`Recipient added (${formatFingerprint(fingerprint)}). Pick a file to send.`, "success");
+        });
+    }
+
+    // --- EXPIRY / EXTENSION ---
+    let expiryTimer = null;
+
+    function showTimeLeft(expiresAt) {
+        clearInterval(expiryTimer);
+        if (!expiresAt) return retrieveInfo.classList.add('hidden');
+
+        const render = () => {
+            const msLeft = new Date(expiresAt).getTime() - Date.now();
+            if (msLeft <= 0) {
+                clearInterval(expiryTimer);
+                timeLeftSpan.innerHTML = "<strong>Expired.</strong> This file is being removed.";
+                extendBtn.disabled = true;
+                return;
+            }
+            timeLeftSpan.innerHTML = `<strong>Expires in ${formatDuration(msLeft)}.</strong> Extend it if the recipient needs more time.`;
+        };
+        extendBtn.disabled = false;
+        render();
+        expiryTimer = setInterval(render, 30 * 1000);
+        retrieveInfo.classList.remove('hidden');
+    }
+
+    if(extendBtn) extendBtn.addEventListener('click', async () => {
+        const code = document.getElementById('retrieve-code').value;
+        // An empty key phrase means the file key was unwrapped with this browser's recipient key
+        const password = await retrieveAccessSecret(document.getElementById('retrieve-password').value || retrieveLinkKey || "");
+        toggleLoading('retrieve-card', true, "Extending...");
+
+        try {
+            const res = await fetch(`${API_BASE_URL}/api/extend`, {
+                method: "POST", headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ code, password, minutes: Number(extendSelect.value) })
+            });
+            const data = await res.json();
+            showAccessState(data);
+            if (data.expiresAt) showTimeLeft(data.expiresAt);
+            if (!data.success) throw new Error(data.message || "Extension failed");
+            showToast(data.capped ? "Extended to the maximum lifetime." : "Lifetime extended!", "success");
+        } catch (error) {
+            showToast(error.message, "error");
+        } finally {
+            toggleLoading('retrieve-card', false);
+        }
+    });
+
+    // Remind about an upload a reload interrupted
+    const interruptedUpload = JSON.parse(localStorage.getItem(PENDING_UPLOAD_KEY) || "null");
+    if (interruptedUpload) showToast(`Upload of "${interruptedUpload.name}" was interrupted. Select the same file to resume.`, "info");
+
+    // --- MY UPLOADS (owner management) ---
+    // finalize-upload returns a manage token once; we keep it here to revoke, inspect and re-limit files
+    // Entries are pruned once past the furthest date an extension could have pushed them to
+    function loadMyUploads() {
+        const uploads = JSON.parse(localStorage.getItem(MY_UPLOADS_KEY) || "[]");
+        return uploads.filter(upload => new Date(upload.maxExpiresAt).getTime() > Date.now());
+    }
+
+    function saveMyUploads(uploads) {
+        localStorage.setItem(MY_UPLOADS_KEY, JSON.stringify(uploads));
+    }
+
+    function rememberUpload(upload) {
+        saveMyUploads([upload, ...loadMyUploads().filter(u => u.code !== upload.code)]);
+    }
+
+    function forgetUpload(code) {
+        saveMyUploads(loadMyUploads().filter(u => u.code !== code));
+    }
+
+    let manageReturnView = uploadForm;
+
+    function showManageView() {
+        manageReturnView = uploadResult.classList.contains('hidden') ? uploadForm : uploadResult;
+        manageReturnView.classList.add('hidden');
+        manageView.classList.remove('hidden');
+        renderManageList();
+        gsap.fromTo(manageView, {opacity: 0, y: 20}, {opacity: 1, y: 0, duration: 0.5});
+    }
+
+    function renderManageList() {
+        const uploads = loadMyUploads();
+        saveMyUploads(uploads);
+        manageList.innerHTML = "";
+        if (uploads.length === 0) {
+            manageList.innerHTML = '<li class="manage-empty">No active uploads from this browser.</li>';
+            return;
+        }
+        uploads.forEach(upload => manageList.appendChild(createManageItem(upload)));
+    }
+
+    function createManageItem(upload) {
+        const item = document.createElement('li');
+        item.className = 'manage-item';
+        item.innerHTML = `
+            <div class="manage-head">
+                <span class="manage-code">${escapeHtml(upload.code)}</span>
+                <span class="manage-name">${escapeHtml(upload.name)}</span>
+            </div>
+            <div class="manage-status">Checking...</div>
+            <div class="manage-actions"></div>
+            <ul class="manage-log hidden"></ul>`;
+        const statusLine = item.querySelector('.manage-status');
+        const actions = item.querySelector('.manage-actions');
+        const accessLog = item.querySelector('.manage-log');
+
+        const render = (status) => {
+            let text = `${status.downloads}${status.maxDownloads ? ` of ${status.maxDownloads}` : ""} downloads`;
+            text += ` · ${status.failedAttempts} wrong key phrases`;
+            text += ` · expires in ${formatDuration(new Date(status.expiresAt).getTime() - Date.now())}`;
+            if (status.locked) text += " · LOCKED";
+            statusLine.innerText = text;
+            statusLine.classList.toggle('locked', status.locked);
+
+            actions.innerHTML = "";
+            const limits = [0, 1, 3, 5, 10];
+            if (!limits.includes(status.maxDownloads)) limits.push(status.maxDownloads);
+            const limitSelect = document.createElement('select');
+            limitSelect.innerHTML = limits.map(n => `<option value="${n}">${n === 0 ? "Unlimited" : `${n} max`}</option>`).join("");
+            limitSelect.value = String(status.maxDownloads);
+            limitSelect.addEventListener('change', () => runAction({ maxDownloads: Number(limitSelect.value) }, "PATCH"));
+            actions.appendChild(limitSelect);
+
+            if (status.locked) actions.appendChild(actionButton("Unlock", () => runAction({ unlock: true }, "PATCH")));
+            actions.appendChild(actionButton("Activity", toggleAccessLog));
+            actions.appendChild(actionButton("Revoke", () => {
+                if (confirm(`Delete ${upload.code} now? Nobody will be able to download it.`)) runAction(null, "DELETE");
+            }));
+        };
+
+        const runAction = async (body, method = "GET") => {
+            try {
+                const status = await apiRequest(API_BASE_URL, method, `/api/manage/${upload.code}`, body, upload.manageToken);
+                if (method === "DELETE") {
+                    forgetUpload(upload.code);
+                    item.remove();
+                    if (!manageList.children.length) renderManageList();
+                    return showToast(`${upload.code} revoked`, "success");
+                }
+                render(status);
+                if (method === "PATCH") showToast("Limits updated", "success");
+            } catch (error) {
+                if (method !== "GET") return showToast(error.message, "error");
+                if (!error.fatal) return (statusLine.innerText = "Server unreachable, try again later.");
+                statusLine.innerText = "Expired, burned or deleted.";
+                actions.innerHTML = "";
+                actions.appendChild(actionButton("Forget", () => { forgetUpload(upload.code); renderManageList(); }));
+            }
+        };
+
+        const toggleAccessLog = async () => {
+            if (!accessLog.classList.contains('hidden')) return accessLog.classList.add('hidden');
+            try {
+                const { events } = await apiRequest(API_BASE_URL, "GET", `/api/manage/${upload.code}/access`, null, upload.manageToken);
+                accessLog.innerHTML = events.length === 0
+                    ? '<li>No attempts yet.</li>'
+                    : events.map(event => `<li>${escapeHtml(describeAccess(event))}</li>`).join("");
+                accessLog.classList.remove('hidden');
+            } catch (error) {
+                showToast(error.message, "error");
+            }
+        };
+
+        runAction();
+        return item;
+    }
+
+    // One access log line: when, what happened, and from which (hashed) network
+    const ACCESS_OUTCOMES = {
+        success: "opened",
+        wrong_password: "wrong key phrase",
+        locked: "refused, file locked",
+        throttled: "refused, too many attempts",
+        limit_reached: "refused, download limit reached",
+    };
+
+    function describeAccess(event) {
+        const what = event.action === "extend" && event.outcome === "success" ? "lifetime extended" : (ACCESS_OUTCOMES[event.outcome] || event.outcome);
+        const network = event.ipHash ? ` · network ${event.ipHash.slice(0, 8)}` : '';
+        return `${new Date(event.at).toLocaleString()} · ${what}${network}`;
+    }
+
+    function actionButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'tour-action-btn';
+        button.innerText = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    if(myUploadsBtn) myUploadsBtn.addEventListener('click', showManageView);
+    if(manageFileBtn) manageFileBtn.addEventListener('click', showManageView);
+    if(manageBackBtn) manageBackBtn.addEventListener('click', () => {
+        manageView.classList.add('hidden');
+        manageReturnView.classList.remove('hidden');
+        gsap.fromTo(manageReturnView, {opacity: 0}, {opacity: 1, duration: 0.5});
+    });
+
     // --- UTILS & UI ---
+    function formatBytes(bytes) {
+        const units = ["B", "KB", "MB", "GB", "TB"];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.innerText = text;
+        return div.innerHTML;
+    }
+
+    function formatDuration(ms) {
+        const minutes = Math.max(1, Math.round(ms / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const mins = minutes % 60;
+        const plural = (n, unit) => `${n} ${unit}${n === 1 ? "" : "s"}`;
+        if (days > 0) return hours > 0 ? `${days}d ${hours}h` : plural(days, "day");
+        if (hours > 0) return mins > 0 ? `${hours}h ${mins}m` : plural(hours, "hour");
+        return plural(mins, "minute");
+    }
+
+
     function showToast(message, type = 'info') {
         const container = document.getElementById('toast-container');
         if (!container) return; 
@@ -242,7 +1153,9 @@ document.addEventListener("DOMContentLoaded", () => {
         toast.className = `toast ${type}`;
         let icon = type === 'success' ? 'fa-check-circle' : 'fa-info-circle';
         if(type === 'error') icon = 'fa-exclamation-triangle';
-        toast.innerHTML = `<i class="fa-solid ${icon}"></i> <span>${message}</span>`;
+        // Messages can carry sender-controlled text (error messages, file names), so only the icon is markup
+        toast.innerHTML = `<i class="fa-solid ${icon}"></i> <span></span>`;
+        toast.querySelector('span').textContent = message;
         container.appendChild(toast);
         requestAnimationFrame(() => toast.classList.add('show'));
         setTimeout(() => { toast.classList.remove('show'); setTimeout(() => toast.remove(), 500); }, 3500);
@@ -266,6 +1179,8 @@ document.addEventListener("DOMContentLoaded", () => {
         uploadResult.classList.add('hidden');
         uploadForm.classList.remove('hidden');
         uploadForm.reset();
+        selectedFiles = [];
+        linkModeToggle.dispatchEvent(new Event('change'));
         fileNameDisplay.innerText = "Initialize Packet";
         generatedCodeSpan.innerText = ""; 
         gsap.fromTo(uploadForm, {opacity: 0}, {opacity: 1, duration: 0.5});
@@ -280,38 +1195,114 @@ document.addEventListener("DOMContentLoaded", () => {
     if(dropZone) {
         dropZone.addEventListener('dragover', (e) => { e.preventDefault(); dropZone.classList.add('drag-active'); });
         dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-active'));
-        dropZone.addEventListener('drop', (e) => {
+        dropZone.addEventListener('drop', async (e) => {
             e.preventDefault(); dropZone.classList.remove('drag-active');
-            if (e.dataTransfer.files.length > 0) { fileInput.files = e.dataTransfer.files; updateFileName(e.dataTransfer.files[0]); }
+            // Entries must be taken before the first await, the drop data is gone after that
+            const entries = [...e.dataTransfer.items].map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+            const files = entries.length > 0
+                ? await readDroppedEntries(entries)
+                : [...e.dataTransfer.files].map(file => ({ file, path: file.name }));
+            if (files.length > 0) selectFiles(files);
         });
     }
     
     if(fileInput) fileInput.addEventListener("change", (e) => {
-        if (e.target.files.length > 0) updateFileName(e.target.files[0]);
+        if (e.target.files.length > 0) selectFiles([...e.target.files].map(file => ({ file, path: file.name })));
     });
-    
-    function updateFileName(file) {
-        const name = file.name;
+
+    if(folderInput) folderInput.addEventListener("change", (e) => {
+        if (e.target.files.length > 0) selectFiles([...e.target.files].map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    });
+
+    // Files picked for the next upload, with their path relative to what was dropped or picked
+    let selectedFiles = [];
+
+    function selectFiles(files) {
+        selectedFiles = files;
+        const name = files.length === 1 ? files[0].path : `${files.length} files (${formatBytes(files.reduce((sum, { file }) => sum + file.size, 0))})`;
         fileNameDisplay.innerText = name.length > 20 ? name.substring(0, 17) + "..." : name;
         gsap.fromTo(fileNameDisplay, { scale: 0.8, opacity: 0 }, { scale: 1, opacity: 1, duration: 0.5 });
     }
 
+    // Walks dropped files and folders, keeping each file's path relative to the drop
+    async function readDroppedEntries(entries) {
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                files.push({ file, path: entry.fullPath.replace(/^\//, "") });
+            } else if (entry.isDirectory) {
+                const reader = entry.createReader();
+                // readEntries hands out a folder in batches until it returns an empty one
+                for (;;) {
+                    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    if (batch.length === 0) break;
+                    for (const child of batch) await walk(child);
+                }
+            }
+        };
+        for (const entry of entries) await walk(entry);
+        return files;
+    }
+
+    // Text mode is the upload card with a text area in place of the file picker
+    const MODE_CARDS = { upload: uploadCard, text: uploadCard, retrieve: retrieveCard };
+    let currentMode = "upload";
+
     function setMode(mode) {
-        const target = mode === "upload" ? uploadCard : retrieveCard;
-        const other = mode === "upload" ? retrieveCard : uploadCard;
-        if (target === other) return;
+        if (mode === currentMode) return;
+        const target = MODE_CARDS[mode];
+        const other = MODE_CARDS[currentMode];
+        currentMode = mode;
         gsap.to(other, { opacity: 0, y: 20, duration: 0.3, onComplete: () => {
             other.classList.add("hidden");
+            setTextMode(mode === "text");
             target.classList.remove("hidden");
             gsap.fromTo(target, { opacity: 0, y: -20 }, { opacity: 1, y: 0, duration: 0.5, ease: "power2.out" });
         }});
         uploadModeBtn.classList.toggle("active", mode === "upload");
+        textModeBtn.classList.toggle("active", mode === "text");
         retrieveModeBtn.classList.toggle("active", mode === "retrieve");
     }
+
+    function setTextMode(on) {
+        uploadCard.classList.toggle('text-mode', on);
+        dropZone.classList.toggle('hidden', on);
+        folderPick.classList.toggle('hidden', on);
+        snippetGroup.classList.toggle('hidden', !on);
+    }
     
     uploadModeBtn.addEventListener("click", () => setMode("upload"));
+    textModeBtn.addEventListener("click", () => setMode("text"));
     retrieveModeBtn.addEventListener("click", () => setMode("retrieve"));
 
+    // Key phrase, share link or recipient keys: the last two replace the key phrase and exclude each other
+    function updateKeyMode() {
+        document.getElementById('upload-password').closest('.input-glow-group').classList.toggle('hidden', linkModeToggle.checked || recipientModeToggle.checked);
+        recipientGroup.classList.toggle('hidden', !recipientModeToggle.checked);
+    }
+
+    if(linkModeToggle) linkModeToggle.addEventListener('change', () => {
+        if (linkModeToggle.checked) recipientModeToggle.checked = false;
+        updateKeyMode();
+    });
+
+    if(recipientModeToggle) recipientModeToggle.addEventListener('change', () => {
+        if (recipientModeToggle.checked) linkModeToggle.checked = false;
+        updateKeyMode();
+    });
+
+    if(copyLinkBtn) copyLinkBtn.addEventListener('click', () => {
+        navigator.clipboard.writeText(shareLinkSpan.innerText);
+        showToast("Link copied", "success");
+        gsap.to(copyLinkBtn, { scale: 1.3, duration: 0.1, yoyo: true, repeat: 1 });
+    });
+
+    openShareLink();
+    openRecipientLink();
+    window.addEventListener('hashchange', openShareLink);
+    window.addEventListener('hashchange', openRecipientLink);
+
     // Intro Animation
     try {
         const tl = gsap.timeline({ defaults: { ease: "power4.out" } });
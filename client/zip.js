@@ -0,0 +1,103 @@
+/* Streaming ZIP writer used to save a whole bundle as one archive, built in the browser.
+   Entries are stored (no compression) and written strictly in order through `write(bytes)`;
+   each entry's CRC and size follow it in a data descriptor, so nothing is buffered.
+   Classic ZIP only: up to 65535 entries and 4 GB in total. */
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) module.exports = factory();
+    else root.QuantCZip = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+    const ZIP32_LIMIT = 0xffffffff;
+    const FLAGS = 0x0808; // Bit 3: sizes in a data descriptor, bit 11: UTF-8 names
+
+    const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+
+    function crc32(crc, bytes) {
+        let c = ~crc >>> 0;
+        for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+        return ~c >>> 0;
+    }
+
+    function dosDateTime(date) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        return { time, day };
+    }
+
+    // Little-endian record builder: fields are [byteLength, value] pairs
+    function record(fields, name) {
+        const size = fields.reduce((sum, [length]) => sum + length, 0);
+        const bytes = new Uint8Array(size + (name ? name.length : 0));
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        for (const [length, value] of fields) {
+            if (length === 2) view.setUint16(offset, value, true);
+            else view.setUint32(offset, value, true);
+            offset += length;
+        }
+        if (name) bytes.set(name, offset);
+        return bytes;
+    }
+
+    function createZipWriter(write) {
+        const entries = [];
+        const stamp = dosDateTime(new Date());
+        let offset = 0;
+        let current = null;
+
+        async function emit(bytes) {
+            if (offset + bytes.length > ZIP32_LIMIT) throw new Error("Too large for a zip, download the files one by one");
+            await write(bytes);
+            offset += bytes.length;
+        }
+
+        return {
+            async start(path) {
+                if (entries.length === 0xffff) throw new Error("Too many files for a zip");
+                // Names must stay relative and inside the archive (no zip-slip on extraction)
+                if (!path || /^[\\/]|^[a-zA-Z]:|\\/.test(path) || path.split("/").includes("..")) {
+                    throw new Error("Refusing an unsafe path in zip");
+                }
+                const name = new TextEncoder().encode(path);
+                current = { name, offset, crc: 0, size: 0 };
+                await emit(record([
+                    [4, 0x04034b50], [2, 20], [2, FLAGS], [2, 0], [2, stamp.time], [2, stamp.day],
+                    [4, 0], [4, 0], [4, 0], [2, name.length], [2, 0],
+                ], name));
+            },
+
+            async write(bytes) {
+                current.crc = crc32(current.crc, bytes);
+                current.size += bytes.length;
+                await emit(bytes);
+            },
+
+            async end() {
+                await emit(record([[4, 0x08074b50], [4, current.crc], [4, current.size], [4, current.size]]));
+                entries.push(current);
+                current = null;
+            },
+
+            // Central directory + end record
+            async finish() {
+                const directoryOffset = offset;
+                for (const entry of entries) {
+                    await emit(record([
+                        [4, 0x02014b50], [2, 20], [2, 20], [2, FLAGS], [2, 0], [2, stamp.time], [2, stamp.day],
+                        [4, entry.crc], [4, entry.size], [4, entry.size], [2, entry.name.length], [2, 0], [2, 0],
+                        [2, 0], [2, 0], [4, 0], [4, entry.offset],
+                    ], entry.name));
+                }
+                await emit(record([
+                    [4, 0x06054b50], [2, 0], [2, 0], [2, entries.length], [2, entries.length],
+                    [4, offset - directoryOffset], [4, directoryOffset], [2, 0],
+                ]));
+            },
+        };
+    }
+
+    return { createZipWriter, crc32 };
+});
@@ -0,0 +1,198 @@
+const os = require("os");
+const crypto = require("crypto");
+const log = require("./logger");
+
+const LOCK_NAME = "cleanup";
+const DELETE_BATCH = 100; // Shards per storage delete call during reconciliation
+
+/* Background sweeper: removes expired files and abandoned upload sessions, and now and then
+   reconciles storage against the database to delete shards no record references.
+   Every instance runs it on a timer; a lease document in Mongo lets only one of them sweep
+   at a time. A file whose shards fail to delete stays in place and is retried on a later
+   sweep with a growing delay, without holding up the others. */
+function createSweeper({
+  File,
+  UploadSession,
+  Lock,
+  getStorage,
+  drivers, // () => Promise<names of the storage drivers in use>
+  destroyFile,
+  intervalMs,
+  reconcileIntervalMs,
+  orphanGraceMs,
+  lockTtlMs = 10 * 60 * 1000,
+  batchSize = 200,
+  retryBaseMs = 5 * 60 * 1000,
+  retryMaxMs = 6 * 60 * 60 * 1000,
+  onReport, // Called with every finished sweep's report (metrics)
+}) {
+  let timer = null;
+
+  // Lease: the lock document is held until `lockedUntil`; an instance that dies mid-sweep
+  // simply lets it lapse. Returns the lock document, or null when someone else holds it.
+  async function acquire(owner) {
+    const now = new Date();
+    try {
+      return await Lock.findOneAndUpdate(
+        { name: LOCK_NAME, lockedUntil: { $lte: now } },
+        { $set: { owner, lockedUntil: new Date(now.getTime() + lockTtlMs) } },
+        { upsert: true, new: true }
+      );
+    } catch (e) {
+      if (e.code === 11000) return null; // Held: the upsert collided with the live lock
+      throw e;
+    }
+  }
+
+  async function renew(owner) {
+    const { matchedCount } = await Lock.updateOne(
+      { name: LOCK_NAME, owner },
+      { $set: { lockedUntil: new Date(Date.now() + lockTtlMs) } }
+    );
+    return matchedCount === 1;
+  }
+
+  function retryDelay(failures) {
+    return Math.min(retryBaseMs * 2 ** (failures - 1), retryMaxMs);
+  }
+
+  async function sweepFiles(report, lease) {
+    const now = new Date();
+    // Files in retry backoff wait for their cleanupRetryAt
+    const expired = await File.find({ expiresAt: { $lt: now }, cleanupRetryAt: { $not: { $gt: now } } }).limit(batchSize);
+
+    for (const file of expired) {
+      if (lease.lost) break;
+      try {
+        await destroyFile(file);
+        report.deleted++;
+      } catch (e) {
+        const failures = (file.cleanupFailures || 0) + 1;
+        report.failed.push({ code: file.code, attempt: failures, error: e.message });
+        log.error("Cleanup could not delete file", { code: file.code, attempt: failures, error: e });
+        await File.updateOne(
+          { _id: file._id },
+          { $set: { cleanupFailures: failures, cleanupRetryAt: new Date(Date.now() + retryDelay(failures)) } }
+        ).catch(() => {});
+      }
+    }
+  }
+
+  async function sweepSessions(report, lease) {
+    const now = new Date();
+    const stale = await UploadSession.find({ expiresAt: { $lt: now } }).limit(batchSize);
+
+    for (const session of stale) {
+      if (lease.lost) break;
+      // Claim the record first (a late shard may have renewed it); shards whose delete
+      // fails are orphans from here on and go in the next reconciliation
+      const { deletedCount } = await UploadSession.deleteOne({ _id: session._id, expiresAt: { $lt: now } });
+      if (!deletedCount) continue;
+      report.abandonedUploads++;
+      try {
+        await getStorage(session.storage).delete(session.parts.filter(Boolean));
+      } catch (e) {
+        log.error("Cleanup could not delete upload shards", { sessionId: session.sessionId, error: e });
+      }
+    }
+  }
+
+  // Every shard id a file or upload session of this driver still points at
+  async function referencedShards(driver) {
+    // Records from before the storage field existed are Cloudinary ones
+    const filter = driver.name === "cloudinary" ? { storage: { $in: [driver.name, null] } } : { storage: driver.name };
+    const ids = new Set();
+    for (const Model of [File, UploadSession]) {
+      for await (const record of Model.find(filter).select("parts").lean().cursor()) {
+        for (const part of record.parts || []) if (part) ids.add(driver.normalizeId(part));
+      }
+    }
+    return ids;
+  }
+
+  // Deletes stored shards older than the grace period that nothing references.
+  // The grace period covers shards that are uploaded but not yet registered with their session.
+  async function reconcile(report, lease) {
+    report.orphans = {};
+    for (const name of await drivers()) {
+      const driver = getStorage(name);
+      if (!driver.list) continue;
+      try {
+        const referenced = await referencedShards(driver);
+        const cutoff = Date.now() - orphanGraceMs;
+        const orphans = [];
+        for await (const shard of driver.list()) {
+          if (!referenced.has(shard.id) && shard.createdAt.getTime() < cutoff) orphans.push(shard.id);
+        }
+
+        let deleted = 0;
+        for (let i = 0; i < orphans.length && !lease.lost; i += DELETE_BATCH) {
+          const batch = orphans.slice(i, i + DELETE_BATCH);
+          try {
+            await driver.delete(batch);
+            deleted += batch.length;
+          } catch (e) {
+            log.error("Cleanup could not delete orphaned shards", { driver: name, count: batch.length, error: e });
+          }
+        }
+        report.orphans[name] = { found: orphans.length, deleted };
+      } catch (e) {
+        report.orphans[name] = { error: e.message };
+        log.error("Cleanup reconciliation failed", { driver: name, error: e });
+      }
+    }
+  }
+
+  // One sweep. Resolves to a report, or null when another instance holds the lock.
+  // `reconcile: true` forces the orphan pass, otherwise it runs every reconcileIntervalMs.
+  async function run({ reconcile: forceReconcile = false } = {}) {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+    const lock = await acquire(owner);
+    if (!lock) return null;
+
+    const startedAt = new Date();
+    const report = { startedAt, deleted: 0, failed: [], abandonedUploads: 0, orphans: null };
+    const lease = { lost: false };
+    const heartbeat = setInterval(() => {
+      renew(owner).then((held) => { if (!held) lease.lost = true; }).catch(() => {});
+    }, lockTtlMs / 3);
+
+    const lastReconcile = lock.lastReconcileAt ? lock.lastReconcileAt.getTime() : 0;
+    const reconcileDue = forceReconcile || Date.now() - lastReconcile >= reconcileIntervalMs;
+    try {
+      await sweepFiles(report, lease);
+      await sweepSessions(report, lease);
+      if (reconcileDue && !lease.lost) await reconcile(report, lease);
+    } finally {
+      clearInterval(heartbeat);
+      const release = { lockedUntil: new Date(0) };
+      if (report.orphans) release.lastReconcileAt = startedAt;
+      await Lock.updateOne({ name: LOCK_NAME, owner }, { $set: release }).catch(() => {});
+    }
+
+    report.durationMs = Date.now() - startedAt.getTime();
+    log.info("Cleanup finished", {
+      deleted: report.deleted,
+      failed: report.failed.length,
+      abandonedUploads: report.abandonedUploads,
+      orphans: report.orphans,
+      durationMs: report.durationMs,
+    });
+    if (onReport) onReport(report);
+    return report;
+  }
+
+  function start() {
+    if (timer || !intervalMs) return;
+    timer = setInterval(() => run().catch((e) => log.error("Cleanup failed", { error: e })), intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { run, start, stop };
+}
+
+module.exports = createSweeper;
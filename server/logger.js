@@ -0,0 +1,13 @@
+/* Structured logging: one JSON object per line, { time, level, msg, ...fields }.
+   Errors passed as `error` are flattened to their message and stack. */
+function write(level, msg, fields = {}) {
+  const entry = { time: new Date().toISOString(), level, msg, ...fields };
+  if (fields.error instanceof Error) entry.error = { message: fields.error.message, stack: fields.error.stack };
+  (level === "error" ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
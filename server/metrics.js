@@ -0,0 +1,55 @@
+/* Small Prometheus registry: labelled counters and gauges rendered in the text exposition
+   format. Counters are per process; gauges can be filled by a `collect` callback at scrape
+   time, which is how database-wide numbers (files and bytes stored) are reported. */
+function createRegistry() {
+  const metrics = [];
+
+  function define(type, name, help, collect) {
+    const values = new Map(); // Serialized labels -> number
+    const metric = {
+      type,
+      name,
+      help,
+      collect,
+      values,
+      inc(labels = {}, amount = 1) {
+        const key = serializeLabels(labels);
+        values.set(key, (values.get(key) || 0) + amount);
+      },
+      set(labels, value) {
+        values.set(serializeLabels(labels), value);
+      },
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  async function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      if (metric.collect) await metric.collect(metric);
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      // An untouched unlabelled counter still reports 0
+      if (metric.values.size === 0 && metric.type === "counter") lines.push(`${metric.name} 0`);
+      for (const [labels, value] of metric.values) lines.push(`${metric.name}${labels} ${value}`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return {
+    counter: (name, help) => define("counter", name, help),
+    gauge: (name, help, collect) => define("gauge", name, help, collect),
+    render,
+    contentType: "text/plain; version=0.0.4; charset=utf-8",
+  };
+}
+
+function serializeLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => {
+    const escaped = String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `${key}="${escaped}"`;
+  });
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+module.exports = createRegistry;
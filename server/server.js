@@ -2,171 +2,1204 @@ require("dotenv").config();
 const express = require("express");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const cors = require("cors");
-const cloudinary = require("cloudinary").v2;
-const axios = require("axios");
+const { getStorage, DEFAULT_DRIVER } = require("./storage");
+const createSweeper = require("./cleanup");
+const createRegistry = require("./metrics");
+const log = require("./logger");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 /* ================= CONFIG ================= */
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+// Shards are written through the driver picked by STORAGE_DRIVER
+const storage = getStorage();
+// Once a file hits its download limit, the last recipient gets this long to fetch the shards
+const BURN_GRACE_MS = 10 * 60 * 1000;
+const MAX_DOWNLOAD_LIMIT = Number(process.env.MAX_DOWNLOAD_LIMIT) || 100;
+// Lifetime bounds (minutes) an uploader can choose from, and the hard cap extensions can reach
+const MIN_LIFETIME_MINUTES = Number(process.env.MIN_LIFETIME_MINUTES) || 5;
+const MAX_LIFETIME_MINUTES = Number(process.env.MAX_LIFETIME_MINUTES) || 7 * 24 * 60;
+const DEFAULT_LIFETIME_MINUTES = 48 * 60;
+const MAX_EXTENDED_LIFETIME_MINUTES = Number(process.env.MAX_EXTENDED_LIFETIME_MINUTES) || 14 * 24 * 60;
+// Crypto envelope: version 1 is every record from before versioning existed
+const LEGACY_ENVELOPE = {
+  version: 1,
+  kdf: { name: "PBKDF2", hash: "SHA-256", iterations: 100000 },
+  chunkSize: 9 * 1024 * 1024,
+};
+const SUPPORTED_VERSIONS = [1, 2, 3];
+const MANIFEST_VERSION = 3; // From here on every upload carries an encrypted shard manifest
+const KDF_LIMITS = { PBKDF2: { hashes: ["SHA-256", "SHA-512"], minIterations: 100000, maxIterations: 5000000 } };
+// Share-link uploads encrypt with a random key that never reaches us, so there is no KDF to check
+const RAW_KDF = "RAW";
+// Unfinished upload sessions (and their shards) are dropped after this long without progress
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// Brute-force protection: wrong passwords per file (uploader picks, within the limit) and per client IP
+const DEFAULT_MAX_FAILED_ATTEMPTS = 10;
+const MAX_FAILED_ATTEMPTS_LIMIT = Number(process.env.MAX_FAILED_ATTEMPTS_LIMIT) || 50;
+const LOCKOUT_ACTIONS = ["lock", "destroy"];
+const MAX_ATTEMPT_DELAY_MS = 5 * 60 * 1000; // Progressive delay doubles per failure up to this
+const IP_MAX_FAILURES = Number(process.env.IP_MAX_FAILURES) || 30;
+const IP_WINDOW_MS = (Number(process.env.IP_WINDOW_MINUTES) || 15) * 60 * 1000;
+// Without a configured key, IP hashes fall back to a public one and stay out of owners' access logs
+const IP_HASH_SECRET = process.env.IP_HASH_SECRET;
+// Shard downloads need a token from /retrieve-meta; set the secret when running more than one instance
+const DOWNLOAD_TOKEN_TTL_MS = (Number(process.env.DOWNLOAD_TOKEN_TTL_MINUTES) || 60) * 60 * 1000;
+const DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+
+// Upload policy. Sizes and types are what the client declares: content is encrypted before it
+// reaches us, so these are guard rails for honest clients plus hard caps on shard counts.
+const MAX_FILE_SIZE = (Number(process.env.MAX_FILE_SIZE_MB) || 2048) * 1024 * 1024;
+const MAX_SHARDS = Number(process.env.MAX_SHARDS) || 1000;
+// Every encrypted block (shard, metadata, snippet) carries a 12-byte IV and a 16-byte AES-GCM tag
+const SEAL_OVERHEAD = 28;
+// Encrypted metadata holds the file list of a bundle: about 256 bytes of JSON per file is allowed
+const MAX_BUNDLE_FILES = Number(process.env.MAX_BUNDLE_FILES) || 1000;
+const MAX_META_BYTES = 256 * MAX_BUNDLE_FILES + 4096;
+// Hex of IV + JSON + tag; the manifest needs ~100 bytes of JSON per shard entry
+const MAX_META_HEX = 2 * (MAX_META_BYTES + SEAL_OVERHEAD);
+const MAX_MANIFEST_HEX = 256 * MAX_SHARDS + 1024;
+const MAX_SHARD_BYTES = 10 * 1024 * 1024; // Encrypted shards must fit the 10 MB per-file storage limit
+const MAX_CHUNK_SIZE = MAX_SHARD_BYTES - SEAL_OVERHEAD; // Plaintext bytes per shard
+const MIN_PASSWORD_LENGTH = 6;
+const ALLOWED_MIME_TYPES = parseList(process.env.ALLOWED_MIME_TYPES); // Empty = anything not denied
+const BLOCKED_MIME_TYPES = parseList(process.env.BLOCKED_MIME_TYPES);
+// Text snippets are stored inline in their file record instead of as shards
+const MAX_SNIPPET_BYTES = (Number(process.env.MAX_SNIPPET_KB) || 64) * 1024;
+const MAX_RECIPIENTS = 20; // Public keys one upload may wrap its file key for
+// JSON bodies must fit the largest finalize (metadata + manifest) or snippet, plus the small fields
+const MAX_JSON_BODY = Math.max(MAX_META_HEX + MAX_MANIFEST_HEX, 2 * (MAX_SNIPPET_BYTES + SEAL_OVERHEAD)) + 64 * 1024;
+const SIGNATURES_PER_SHARD = 5; // Upload signatures a session may request per shard (retries included)
+// Per-IP quota on new uploads within a window; 0 lifts that part of the quota
+const UPLOAD_QUOTA_FILES = Number(process.env.UPLOAD_QUOTA_FILES ?? 20);
+const UPLOAD_QUOTA_BYTES = Number(process.env.UPLOAD_QUOTA_MB ?? 10240) * 1024 * 1024;
+const UPLOAD_QUOTA_WINDOW_MS = (Number(process.env.UPLOAD_QUOTA_WINDOW_MINUTES) || 24 * 60) * 60 * 1000;
+// Background cleanup: expired files + abandoned uploads every interval (0 turns the timer off),
+// orphaned shards less often. The manual trigger needs ADMIN_SECRET in the X-Admin-Secret header.
+const CLEANUP_INTERVAL_MS = Number(process.env.CLEANUP_INTERVAL_MINUTES ?? 15) * 60 * 1000;
+const RECONCILE_INTERVAL_MS = (Number(process.env.RECONCILE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const ORPHAN_GRACE_MS = (Number(process.env.ORPHAN_GRACE_HOURS) || 6) * 60 * 60 * 1000;
+const ADMIN_SECRET = process.env.ADMIN_SECRET;
+// Retrieval attempts kept per file for its owner (newest win); they go when the file does
+const ACCESS_LOG_LIMIT = 100;
+
+if (!IP_HASH_SECRET) log.warn("IP_HASH_SECRET is not set; request and access logs will not show client networks");
+
+// Behind Render/Vercel style proxies req.ip must come from X-Forwarded-For.
+// Accepts what Express does: true/false, a hop count, or addresses/subnets (env values are all strings)
+function parseTrustProxy(value) {
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+if (process.env.TRUST_PROXY) app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY.trim()));
+
+/* ================= METRICS + REQUEST LOG ================= */
+const metrics = createRegistry();
+const counters = {
+  httpRequests: metrics.counter("quantc_http_requests_total", "HTTP requests by method, route and status"),
+  uploads: metrics.counter("quantc_uploads_total", "Finalized uploads"),
+  uploadedBytes: metrics.counter("quantc_uploaded_bytes_total", "Declared plaintext bytes of finalized uploads"),
+  snippets: metrics.counter("quantc_snippets_total", "Text snippets shared"),
+  retrievals: metrics.counter("quantc_retrievals_total", "Retrieval attempts by outcome"),
+  failedPasswords: metrics.counter("quantc_failed_passwords_total", "Wrong passwords by action (retrieve, extend)"),
+  cleanupRuns: metrics.counter("quantc_cleanup_runs_total", "Cleanup sweeps run by this instance"),
+  cleanupDeleted: metrics.counter("quantc_cleanup_files_deleted_total", "Expired files deleted by cleanup"),
+  cleanupFailed: metrics.counter("quantc_cleanup_failures_total", "Expired files cleanup failed to delete"),
+  cleanupAbandoned: metrics.counter("quantc_cleanup_abandoned_uploads_total", "Abandoned upload sessions removed by cleanup"),
+  cleanupOrphans: metrics.counter("quantc_cleanup_orphans_deleted_total", "Orphaned shards deleted by cleanup, by driver"),
+};
+const cleanupLastRun = metrics.gauge("quantc_cleanup_last_run_timestamp_seconds", "When this instance last finished a cleanup sweep");
+// Database-wide, so every instance reports the same numbers
+metrics.gauge("quantc_files_stored", "Live files", async (gauge) => gauge.set({}, (await storedTotals()).files));
+metrics.gauge("quantc_bytes_stored", "Declared plaintext bytes of live files", async (gauge) => gauge.set({}, (await storedTotals()).bytes));
+
+let scrapeTotals = null; // One aggregate per scrape, shared by both stored-* gauges; reset by /metrics
+function storedTotals() {
+  if (!scrapeTotals) {
+    scrapeTotals = File.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: { $ifNull: ["$size", 0] } } } },
+    ]).then(([totals]) => totals || { files: 0, bytes: 0 });
+  }
+  return scrapeTotals;
+}
+
+// One JSON line per request. Routes are logged as their pattern (/api/manage/:code), never the
+// raw path, so access codes stay out of the logs; client IPs are logged hashed.
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  const given = req.get("X-Request-Id");
+  req.id = given && /^[\w-]{1,64}$/.test(given) ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    counters.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    log.info("request", {
+      requestId: req.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      // Same rule as access logs: hashes under the fallback key could be reversed
+      ...(IP_HASH_SECRET && { ipHash: hashIp(req.ip).slice(0, 16) }),
+    });
+  });
+  next();
 });
 
-app.use(express.json());
 app.use(cors({ origin: "*" }));
+app.use(express.json({ limit: MAX_JSON_BODY }));
+// Body-parser failures (too large, malformed JSON) answer in the API's shape instead of an HTML page
+app.use((err, req, res, next) => {
+  if (!err.type || !err.status) return next(err);
+  const message = err.type === "entity.too.large" ? "Request body too large" : "Malformed request body";
+  res.status(err.status).json({ success: false, message });
+});
 
 /* ================= DATABASE ================= */
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected"))
-  .catch((e) => console.error("❌ MongoDB error:", e));
+  .then(() => {
+    log.info("MongoDB connected");
+    sweeper.start();
+  })
+  .catch((e) => log.error("MongoDB connection failed", { error: e }));
 
 const fileSchema = new mongoose.Schema({
   code: { type: String, unique: true },
   passwordHash: String,
-  parts: [String], // Stores list of Cloudinary URLs
-  originalName: String,
-  mimeType: String,
+  parts: [String], // Shard IDs within the storage driver (legacy records hold URLs)
+  storage: { type: String, default: "cloudinary" }, // Driver the shards live in
+  originalName: String, // Plaintext name/type only exist on legacy records,
+  mimeType: String,     // newer uploads keep them inside encryptedMeta
+  encryptedMeta: String, // Hex IV + AES-GCM ciphertext of { name, type }, opaque to us
+  encryptedManifest: String, // Same, for the per-shard { index, size, sha256 } list
+  snippet: String, // Text snippets: hex IV + AES-GCM ciphertext of the text itself, no parts
+  // File key wrapped for each recipient's public key; handed out by fingerprint before the password check
+  recipients: [{ _id: false, fingerprint: String, ephemeralKey: String, wrappedKey: String }],
   salt: String,
-  iv: String, 
-  // Manual expiry date for the Cron Job to check
-  expiresAt: { type: Date, default: () => Date.now() + 48 * 60 * 60 * 1000 } 
+  iv: String, // Legacy "sharded" marker, superseded by version
+  version: Number, // Crypto envelope version, picks the client-side decoder
+  kdf: {
+    name: String,
+    hash: String,
+    iterations: Number,
+    memory: Number, // KiB, for memory-hard KDFs
+  },
+  chunkSize: Number, // Plaintext bytes per shard
+  maxDownloads: { type: Number, default: 0 }, // 0 = unlimited, 1 = burn after read
+  downloads: { type: Number, default: 0 },
+  maxFailedAttempts: Number, // Wrong passwords tolerated before lockoutAction kicks in
+  lockoutAction: { type: String, default: "lock" }, // "lock" or "destroy"
+  failedAttempts: { type: Number, default: 0 },
+  nextAttemptAt: Date, // Progressive delay between password attempts
+  locked: { type: Boolean, default: false },
+  manageTokenHash: String, // SHA-256 of the uploader's manage token
+  size: Number, // Plaintext bytes, as declared when the upload started
+  // Password-gated attempts on this file, for the owner: outcome + hashed client IP
+  accessLog: [{ _id: false, at: Date, action: String, outcome: String, ipHash: String }],
+  // Manual expiry date for the cleanup sweeper to check
+  expiresAt: { type: Date, default: () => Date.now() + DEFAULT_LIFETIME_MINUTES * 60 * 1000 },
+  cleanupFailures: Number, // Failed deletes after expiry,
+  cleanupRetryAt: Date,    // and when the sweeper tries again
 });
 
 const File = mongoose.model("File", fileSchema);
 
-/* ================= ROUTES ================= */
-const api = express.Router();
+// Tracks the shards of an upload in progress so it can be resumed and finalized
+const uploadSessionSchema = new mongoose.Schema({
+  sessionId: { type: String, unique: true },
+  storage: String,
+  totalShards: Number,
+  size: Number, // Declared plaintext bytes
+  // Chosen by the client, so a retried create (response lost on the way) gets this session back
+  requestKey: { type: String, unique: true, sparse: true },
+  signatures: { type: Number, default: 0 }, // Upload signatures handed out so far
+  parts: [String], // Indexed by shard number, null until that shard is stored
+  expiresAt: { type: Date, default: () => Date.now() + UPLOAD_SESSION_TTL_MS },
+});
 
-// 1. HEALTH CHECK
-api.get("/health", (req, res) => res.json({ status: "alive" }));
+const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
+
+// Failed lookups per (hashed) client IP, expired by Mongo's TTL monitor once the window passes
+const ipThrottleSchema = new mongoose.Schema({
+  ipHash: { type: String, unique: true },
+  failures: { type: Number, default: 0 },
+  expiresAt: { type: Date, index: { expires: 0 } },
+});
+
+const IpThrottle = mongoose.model("IpThrottle", ipThrottleSchema);
+
+// Uploads started per (hashed) client IP in the current quota window
+const uploadQuotaSchema = new mongoose.Schema({
+  ipHash: { type: String, unique: true },
+  uploads: { type: Number, default: 0 },
+  bytes: { type: Number, default: 0 },
+  expiresAt: { type: Date, index: { expires: 0 } },
+});
+
+const UploadQuota = mongoose.model("UploadQuota", uploadQuotaSchema);
+
+// Leases for work only one instance should do at a time (the cleanup sweep)
+const lockSchema = new mongoose.Schema({
+  name: { type: String, unique: true },
+  owner: String,
+  lockedUntil: Date,
+  lastReconcileAt: Date,
+});
+
+const Lock = mongoose.model("Lock", lockSchema);
+
+/* ================= HELPERS ================= */
+// Comma separated env list, lower-cased
+function parseList(value) {
+  return (value || "").split(",").map((item) => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Removes a file's shards from storage and then its record
+async function destroyFile(file) {
+  await getStorage(file.storage).delete(file.parts);
+  await File.deleteOne({ _id: file._id });
+}
+
+// Shard indexes a session has stored so far
+function receivedShards(session) {
+  return session.parts.reduce((acc, id, index) => (id ? [...acc, index] : acc), []);
+}
+
+// Latest moment a file may live until, counted from its upload time
+function lifetimeCap(file) {
+  return new Date(file._id.getTimestamp().getTime() + MAX_EXTENDED_LIFETIME_MINUTES * 60 * 1000);
+}
+
+// Download tokens are "<base64url payload>.<hmac>", payload { id: file _id, exp: ms timestamp }
+function signDownloadToken(file) {
+  const payload = Buffer.from(JSON.stringify({ id: String(file._id), exp: Date.now() + DOWNLOAD_TOKEN_TTL_MS })).toString("base64url");
+  const mac = crypto.createHmac("sha256", DOWNLOAD_TOKEN_SECRET).update(payload).digest("base64url");
+  return `${payload}.${mac}`;
+}
 
-// 2. CLEANUP ENDPOINT (The Garbage Collector)
-api.get("/cleanup", async (req, res) => {
-    // Security check: Only allow requests with the correct API Key
-    if (req.query.key !== process.env.CLOUDINARY_API_KEY) { 
-        return res.status(403).json({ error: "Unauthorized" });
+// Returns the token payload, or null when it is malformed, forged or expired
+function verifyDownloadToken(token) {
+  const [payload, mac] = String(token || "").split(".");
+  if (!payload || !mac) return null;
+
+  const expected = Buffer.from(crypto.createHmac("sha256", DOWNLOAD_TOKEN_SECRET).update(payload).digest("base64url"));
+  const given = Buffer.from(mac);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return data.exp > Date.now() && mongoose.isValidObjectId(data.id) ? data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Keyed hash of a client IP, so throttling works without storing raw addresses
+function hashIp(ip) {
+  return crypto.createHmac("sha256", IP_HASH_SECRET || "quantc").update(String(ip)).digest("hex");
+}
+
+async function recordIpFailure(ipHash) {
+  await IpThrottle.updateOne(
+    { ipHash },
+    { $inc: { failures: 1 }, $setOnInsert: { expiresAt: new Date(Date.now() + IP_WINDOW_MS) } },
+    { upsert: true }
+  );
+}
+
+function sendTooMany(res, message, retryAfterMs) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ success: false, message, retryAfter });
+}
+
+// Sends a 429 and resolves to true when the client's network used up its failed attempts
+async function sendIfIpThrottled(res, ipHash) {
+  const now = new Date();
+  const throttle = await IpThrottle.findOne({ ipHash, expiresAt: { $gt: now } });
+  if (!throttle || throttle.failures < IP_MAX_FAILURES) return false;
+  sendTooMany(res, "Too many failed attempts from your network. Try again later.", throttle.expiresAt - now);
+  return true;
+}
+
+function sendLocked(res) {
+  res.status(423).json({ success: false, locked: true, message: "This file is locked after too many wrong passwords" });
+}
+
+// Finds a live (not yet expired) file by req.body.code and checks req.body.password, enforcing
+// the per-IP failure window, the per-file progressive delay and the lockout/auto-destroy limit.
+// Sends the error response itself and resolves to null when that fails. Each outcome is
+// recorded under `action` ("retrieve" or "extend") for the metrics and the file's access log.
+// The body must already have passed RETRIEVE_SCHEMA.
+async function findUnlockedFile(req, res, action) {
+  const { code, password } = req.body;
+  const ipHash = hashIp(req.ip);
+  const now = new Date();
+
+  if (await sendIfIpThrottled(res, ipHash)) {
+    await recordAttempt(null, action, "throttled", ipHash);
+    return null;
+  }
+
+  const file = await File.findOne({ code, expiresAt: { $gt: now } });
+  if (!file) {
+    await recordIpFailure(ipHash);
+    await recordAttempt(null, action, "not_found", ipHash);
+    res.status(404).json({ success: false, message: "File not found or expired" });
+    return null;
+  }
+  if (file.locked) {
+    await recordAttempt(file, action, "locked", ipHash);
+    sendLocked(res);
+    return null;
+  }
+
+  // Reserve this attempt atomically so parallel guesses can't slip past the delay
+  const reserved = await File.findOneAndUpdate(
+    // Records from before lockout existed have no `locked` field at all
+    { _id: file._id, locked: { $ne: true }, $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+    { nextAttemptAt: new Date(now.getTime() + 1000) }
+  );
+  if (!reserved) {
+    await recordAttempt(file, action, "throttled", ipHash);
+    sendTooMany(res, "Too many attempts. Please wait before trying again.", (file.nextAttemptAt || now) - now);
+    return null;
+  }
+
+  const isValid = await bcrypt.compare(password, file.passwordHash);
+  if (isValid) {
+    await File.updateOne({ _id: file._id }, { $unset: { nextAttemptAt: 1 } });
+    return file;
+  }
+
+  await recordIpFailure(ipHash);
+  await recordAttempt(file, action, "wrong_password", ipHash);
+  const failed = await File.findOneAndUpdate({ _id: file._id }, { $inc: { failedAttempts: 1 } }, { new: true });
+  const attemptsLeft = Math.max(0, (failed.maxFailedAttempts || DEFAULT_MAX_FAILED_ATTEMPTS) - failed.failedAttempts);
+
+  if (attemptsLeft === 0) {
+    if (failed.lockoutAction === "destroy") {
+      await destroyFile(failed);
+      res.status(410).json({ success: false, destroyed: true, message: "Too many wrong passwords. The file has been destroyed." });
+    } else {
+      await File.updateOne({ _id: file._id }, { locked: true });
+      sendLocked(res);
     }
+    return null;
+  }
 
-    try {
-        const now = new Date();
-        const expiredFiles = await File.find({ expiresAt: { $lt: now } });
+  const delay = Math.min(1000 * 2 ** (failed.failedAttempts - 1), MAX_ATTEMPT_DELAY_MS);
+  await File.updateOne({ _id: file._id }, { nextAttemptAt: new Date(Date.now() + delay) });
+  res.status(401).json({ success: false, message: "Wrong password", attemptsLeft, retryAfter: Math.ceil(delay / 1000) });
+  return null;
+}
 
-        if (expiredFiles.length === 0) return res.json({ message: "No expired files." });
+// Counts a password-gated attempt in the metrics and, when there is a file, in its access log.
+// `action` is "retrieve" or "extend". Audit writes never fail the request they describe.
+async function recordAttempt(file, action, outcome, ipHash) {
+  if (action === "retrieve") counters.retrievals.inc({ outcome });
+  if (outcome === "wrong_password") counters.failedPasswords.inc({ action });
+  if (!file) return;
 
-        console.log(`Cleaning ${expiredFiles.length} files...`);
+  const entry = { at: new Date(), action, outcome };
+  if (IP_HASH_SECRET) entry.ipHash = ipHash.slice(0, 16);
+  await File.updateOne({ _id: file._id }, { $push: { accessLog: { $each: [entry], $slice: -ACCESS_LOG_LIMIT } } })
+    .catch((e) => log.error("Access log write failed", { code: file.code, error: e }));
+}
 
-        for (const file of expiredFiles) {
-            // Extract Public IDs from URLs to delete from Cloudinary
-            const publicIds = file.parts.map(url => {
-                const parts = url.split('/');
-                const filename = parts.pop(); 
-                return `quantc_shards/${filename}`;
-            });
+// Reads the uploader-controlled limits from a request body. Missing fields get their defaults,
+// or with `partial` (edits) are left out. Resolves to { limits } or { error }.
+function readLimits(body, partial = false) {
+  const invalid = checkBody(body, LIMITS_SCHEMA);
+  if (invalid) return { error: invalid };
 
-            if (publicIds.length > 0) {
-                // Bulk delete the chunks
-                await cloudinary.api.delete_resources(publicIds, { resource_type: 'raw' });
-            }
-            
-            // Delete from Database
-            await File.deleteOne({ _id: file._id });
+  const limits = {};
+  for (const [field, fallback] of Object.entries(LIMIT_DEFAULTS)) {
+    const value = body[field];
+    if (partial && value === undefined) continue;
+    limits[field] = value === undefined || value === null || value === "" ? fallback : value;
+  }
+  return { limits };
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Admin calls carry ADMIN_SECRET in X-Admin-Secret (or as a Bearer token, which is what
+// Prometheus sends); without the env var nobody is admin
+function isAdmin(req) {
+  const auth = req.get("Authorization") || "";
+  const given = req.get("X-Admin-Secret") || (auth.startsWith("Bearer ") ? auth.slice(7) : null);
+  if (!ADMIN_SECRET || !given) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(given)), Buffer.from(hashToken(ADMIN_SECRET)));
+}
+
+// Finds a file by :code whose manage token (Authorization: Bearer) matches.
+// Sends the 401/404 response itself and resolves to null when that fails.
+async function findOwnedFile(req, res) {
+  const auth = req.get("Authorization") || "";
+  if (!auth.startsWith("Bearer ")) {
+    res.status(401).json({ success: false, message: "Missing manage token" });
+    return null;
+  }
+
+  const file = await File.findOne({ code: req.params.code, expiresAt: { $gt: new Date() } });
+  const expected = Buffer.from((file && file.manageTokenHash) || "");
+  const given = Buffer.from(hashToken(auth.slice(7)));
+  if (!file || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    res.status(404).json({ success: false, message: "File not found, expired or not yours" });
+    return null;
+  }
+  return file;
+}
+
+// What the owner sees about their file
+function describeStatus(file) {
+  return {
+    code: file.code,
+    createdAt: file._id.getTimestamp(),
+    expiresAt: file.expiresAt,
+    maxExpiresAt: lifetimeCap(file),
+    downloads: file.downloads,
+    maxDownloads: file.maxDownloads,
+    failedAttempts: file.failedAttempts,
+    maxFailedAttempts: file.maxFailedAttempts || DEFAULT_MAX_FAILED_ATTEMPTS,
+    lockoutAction: file.lockoutAction,
+    locked: file.locked,
+  };
+}
+
+// Validates the envelope an upload declares. Returns an error message, or null when it is acceptable.
+function checkEnvelope({ version, kdf, chunkSize }) {
+  if (!SUPPORTED_VERSIONS.includes(version)) return `Unsupported format version ${version}`;
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0) return "Invalid chunk size";
+  // The stored shard is the chunk plus its IV and tag
+  if (chunkSize + SEAL_OVERHEAD > MAX_SHARD_BYTES) return `Chunk size must be at most ${MAX_CHUNK_SIZE} bytes`;
+  return checkKdf(kdf);
+}
+
+function checkKdf(kdf) {
+  if (kdf && kdf.name === RAW_KDF) return null;
+  const limits = kdf && KDF_LIMITS[kdf.name];
+  if (!limits) return "Unsupported key derivation function";
+  if (!limits.hashes.includes(kdf.hash)) return `Unsupported ${kdf.name} hash`;
+  if (!Number.isInteger(kdf.iterations) || kdf.iterations < limits.minIterations || kdf.iterations > limits.maxIterations) {
+    return `${kdf.name} iterations must be between ${limits.minIterations} and ${limits.maxIterations}`;
+  }
+  return null;
+}
+
+// Envelope of a stored file, filling in the legacy defaults for unversioned records
+function describeEnvelope(file) {
+  if (!file.version) return LEGACY_ENVELOPE;
+  const { name, hash, iterations, memory } = file.kdf;
+  return { version: file.version, kdf: { name, hash, iterations, memory }, chunkSize: file.chunkSize };
+}
+
+// Request body rules: { field: { type, required, min, max, minLength, maxLength, pattern, maxItems, items } }.
+// Arrays hold objects checked against the `items` rules, or else strings held to the string rules.
+// Returns the first problem as a message for a 400 response, or null when the body fits.
+function checkBody(body, schema) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return "Request body must be a JSON object";
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field];
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) return `${field} is required`;
+      continue;
+    }
+    if (rule.type === "integer") {
+      if (!Number.isInteger(value)) return `${field} must be an integer`;
+      if (rule.min !== undefined && value < rule.min) return `${field} must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `${field} must be at most ${rule.max}`;
+    } else if (rule.type === "object") {
+      if (typeof value !== "object" || Array.isArray(value)) return `${field} must be an object`;
+    } else if (rule.type === "array") {
+      if (!Array.isArray(value)) return `${field} must be an array`;
+      if (rule.maxItems && value.length > rule.maxItems) return `${field} may hold at most ${rule.maxItems} items`;
+      const itemRule = { ...rule, type: "string" };
+      for (const item of value) {
+        if (rule.items) {
+          const problem = checkBody(item, rule.items);
+          if (problem) return `Invalid item in ${field}: ${problem}`;
+          continue;
         }
+        const problem = item === "" ? null : checkBody({ [field]: item }, { [field]: itemRule });
+        if (problem) return problem.replace(field, `Every item of ${field}`);
+      }
+    } else {
+      if (typeof value !== "string") return `${field} must be a string`;
+      if (rule.minLength && value.length < rule.minLength) return `${field} must be at least ${rule.minLength} characters`;
+      if (rule.maxLength && value.length > rule.maxLength) return `${field} must be at most ${rule.maxLength} characters`;
+      if (rule.pattern && !rule.pattern.test(value)) return `${field} is malformed`;
+    }
+  }
+  return null;
+}
+
+const LIMITS_SCHEMA = {
+  maxDownloads: { type: "integer", min: 0, max: MAX_DOWNLOAD_LIMIT }, // 0 = unlimited
+  lifetimeMinutes: { type: "integer", min: MIN_LIFETIME_MINUTES, max: MAX_LIFETIME_MINUTES },
+  maxFailedAttempts: { type: "integer", min: 1, max: MAX_FAILED_ATTEMPTS_LIMIT },
+  lockoutAction: { type: "string", pattern: new RegExp(`^(?:${LOCKOUT_ACTIONS.join("|")})$`) },
+};
+const LIMIT_DEFAULTS = {
+  maxDownloads: 0,
+  lifetimeMinutes: DEFAULT_LIFETIME_MINUTES,
+  maxFailedAttempts: DEFAULT_MAX_FAILED_ATTEMPTS,
+  lockoutAction: "lock",
+};
+
+const HEX = /^(?:[a-f0-9]{2})+$/;
+const SESSION_ID = /^[a-f0-9]{32}$/;
+const CODE = /^\d{6}$/;
+const FINGERPRINT = /^[a-f0-9]{64}$/; // SHA-256 of a recipient's raw public key
+
+const UPLOAD_SESSION_SCHEMA = {
+  totalShards: { type: "integer", required: true, min: 1 },
+  size: { type: "integer", required: true, min: 1 },
+  type: { type: "string", maxLength: 255 },
+  types: { type: "array", maxLength: 255, maxItems: 1000 }, // Every type in a multi-file bundle
+  files: { type: "integer", min: 1 }, // Files in a bundle
+  metaSize: { type: "integer", min: 0 }, // Bytes of metadata JSON (name, type, file list) to be encrypted
+  requestKey: { type: "string", pattern: SESSION_ID }, // Random, same shape as a session id
+};
+
+const SALT = /^(?:[a-f0-9]{2}){16,64}$/;
+// Key phrase, or the hashed link key of a share-link upload
+const PASSWORD_RULE = { type: "string", required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 1024 };
+
+const RECIPIENTS_RULE = {
+  type: "array",
+  maxItems: MAX_RECIPIENTS,
+  items: {
+    fingerprint: { type: "string", required: true, pattern: FINGERPRINT },
+    ephemeralKey: { type: "string", required: true, pattern: /^[A-Za-z0-9_-]{87}$/ }, // Raw P-256 point
+    wrappedKey: { type: "string", required: true, maxLength: 256, pattern: HEX },
+  },
+};
+
+const FINALIZE_SCHEMA = {
+  sessionId: { type: "string", required: true, pattern: SESSION_ID },
+  password: PASSWORD_RULE,
+  salt: { type: "string", required: true, pattern: SALT },
+  encryptedMeta: { type: "string", required: true, maxLength: MAX_META_HEX, pattern: HEX },
+  encryptedManifest: { type: "string", maxLength: MAX_MANIFEST_HEX, pattern: HEX },
+  version: { type: "integer" },
+  kdf: { type: "object" },
+  chunkSize: { type: "integer" },
+  recipients: RECIPIENTS_RULE,
+};
+
+// Checked before an attempt is reserved, so a malformed request never costs one
+const RETRIEVE_SCHEMA = {
+  code: { type: "string", required: true, pattern: CODE },
+  password: PASSWORD_RULE,
+};
+
+const EXTEND_SCHEMA = {
+  ...RETRIEVE_SCHEMA,
+  minutes: { type: "integer", required: true, min: 1, max: MAX_EXTENDED_LIFETIME_MINUTES },
+};
+
+const SNIPPET_SCHEMA = {
+  password: PASSWORD_RULE,
+  salt: { type: "string", required: true, pattern: SALT },
+  // 12-byte IV + text + 16-byte tag, hex encoded
+  snippet: { type: "string", required: true, minLength: 2 * SEAL_OVERHEAD, maxLength: 2 * (MAX_SNIPPET_BYTES + SEAL_OVERHEAD), pattern: HEX },
+  version: { type: "integer", required: true },
+  kdf: { type: "object", required: true },
+  recipients: RECIPIENTS_RULE,
+};
+
+// Checks a declared MIME type against BLOCKED_/ALLOWED_MIME_TYPES ("image/*" style wildcards).
+// Returns an error message, or null when the type may be uploaded.
+function checkMimeType(type) {
+  const mime = (type || "application/octet-stream").split(";")[0].trim().toLowerCase();
+  const matches = (pattern) => pattern === mime || (pattern.endsWith("/*") && mime.startsWith(pattern.slice(0, -1)));
+  if (BLOCKED_MIME_TYPES.some(matches)) return `Files of type ${mime} are not accepted`;
+  if (ALLOWED_MIME_TYPES.length > 0 && !ALLOWED_MIME_TYPES.some(matches)) return `Files of type ${mime} are not accepted`;
+  return null;
+}
+
+// Counts a new upload against the client's quota. Returns null when it fits,
+// otherwise how long (ms) until the window resets; the reservation is rolled back then.
+async function reserveUploadQuota(ipHash, bytes) {
+  if (!UPLOAD_QUOTA_FILES && !UPLOAD_QUOTA_BYTES) return null;
+  const usage = await UploadQuota.findOneAndUpdate(
+    { ipHash },
+    { $inc: { uploads: 1, bytes }, $setOnInsert: { expiresAt: new Date(Date.now() + UPLOAD_QUOTA_WINDOW_MS) } },
+    { upsert: true, new: true }
+  );
+  const overFiles = UPLOAD_QUOTA_FILES && usage.uploads > UPLOAD_QUOTA_FILES;
+  const overBytes = UPLOAD_QUOTA_BYTES && usage.bytes > UPLOAD_QUOTA_BYTES;
+  if (!overFiles && !overBytes) return null;
+
+  await releaseUploadQuota(ipHash, bytes);
+  return usage.expiresAt.getTime() - Date.now();
+}
+
+// Gives back an upload reserveUploadQuota counted
+async function releaseUploadQuota(ipHash, bytes) {
+  if (!UPLOAD_QUOTA_FILES && !UPLOAD_QUOTA_BYTES) return;
+  await UploadQuota.updateOne({ ipHash }, { $inc: { uploads: -1, bytes: -bytes } });
+}
+
+// Stores a new file record under a fresh code, with the uploader's limits and a manage token.
+// Resolves to { file, manageToken }; the token is only ever handed to the uploader.
+async function createFile(password, limits, fields) {
+  let code;
+  let exists = true;
+  while (exists) {
+    code = String(crypto.randomInt(100000, 1000000));
+    exists = await File.exists({ code });
+  }
+
+  const manageToken = crypto.randomBytes(24).toString("base64url");
+  const file = await File.create({
+    code,
+    passwordHash: await bcrypt.hash(password, 10),
+    ...fields,
+    maxDownloads: limits.maxDownloads,
+    maxFailedAttempts: limits.maxFailedAttempts,
+    lockoutAction: limits.lockoutAction,
+    expiresAt: new Date(Date.now() + limits.lifetimeMinutes * 60 * 1000),
+    manageTokenHash: hashToken(manageToken),
+  });
+  return { file, manageToken };
+}
 
-        res.json({ success: true, deleted: expiredFiles.length });
-    } catch (error) {
-        console.error("Cleanup Error:", error);
-        res.status(500).json({ error: error.message });
+/* ================= CLEANUP ================= */
+const sweeper = createSweeper({
+  File,
+  UploadSession,
+  Lock,
+  getStorage,
+  // The configured driver plus any older records still live in
+  drivers: async () => [...new Set([DEFAULT_DRIVER, ...(await File.distinct("storage"))].filter(Boolean))],
+  destroyFile,
+  intervalMs: CLEANUP_INTERVAL_MS,
+  reconcileIntervalMs: RECONCILE_INTERVAL_MS,
+  orphanGraceMs: ORPHAN_GRACE_MS,
+  onReport: (report) => {
+    counters.cleanupRuns.inc();
+    counters.cleanupDeleted.inc({}, report.deleted);
+    counters.cleanupFailed.inc({}, report.failed.length);
+    counters.cleanupAbandoned.inc({}, report.abandonedUploads);
+    for (const [driver, result] of Object.entries(report.orphans || {})) {
+      if (result.deleted) counters.cleanupOrphans.inc({ driver }, result.deleted);
     }
+    cleanupLastRun.set({}, Math.round(Date.now() / 1000));
+  },
 });
 
-// 3. PROXY DOWNLOAD (Bypasses CORS/Network Blocks)
-api.get("/proxy", async (req, res) => {
-    const { url } = req.query;
-    if (!url) return res.status(400).send("Missing URL");
+/* ================= ROUTES ================= */
+const api = express.Router();
+
+// 1. HEALTH CHECK
+api.get("/health", (req, res) => res.json({ status: "alive" }));
+
+// 2. CLEANUP TRIGGER (the sweeper also runs on its own timer; ?reconcile=1 forces the orphan pass)
+api.post("/cleanup", async (req, res) => {
+  if (!isAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
+
+  try {
+    const report = await sweeper.run({ reconcile: req.query.reconcile === "1" });
+    if (!report) return res.status(409).json({ error: "Cleanup is already running" });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    log.error("Cleanup failed", { requestId: req.id, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 3. SHARD DOWNLOAD (Scoped to one file by the token /retrieve-meta hands out, supports Range)
+api.get("/files/:code/parts/:index", async (req, res) => {
+    const auth = req.get("Authorization") || "";
+    const token = verifyDownloadToken(auth.startsWith("Bearer ") ? auth.slice(7) : req.query.token);
+    if (!token) return res.status(401).json({ error: "Missing or expired download token" });
 
     try {
-        const response = await axios({
-            method: 'get',
-            url: decodeURIComponent(url),
-            responseType: 'stream'
+        const file = await File.findOne({ _id: token.id, code: req.params.code });
+        if (!file) return res.status(404).json({ error: "File not found or expired" });
+
+        const index = Number(req.params.index);
+        const shardId = Number.isInteger(index) ? file.parts[index] : undefined;
+        if (!shardId) return res.status(404).json({ error: "No such part" });
+
+        const driver = getStorage(file.storage);
+        const { size } = await driver.stat(shardId);
+        res.set({ "Accept-Ranges": "bytes", "Content-Type": "application/octet-stream" });
+
+        let range = null;
+        if (req.headers.range) {
+            const ranges = req.range(size);
+            if (ranges === -1) {
+                res.set("Content-Range", `bytes */${size}`);
+                return res.status(416).end();
+            }
+            if (Array.isArray(ranges) && ranges.length === 1) range = { start: ranges[0].start, end: ranges[0].end };
+        }
+
+        const { stream, ranged } = await driver.fetch(shardId, range);
+        if (range && ranged) {
+            res.status(206).set({
+                "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+                "Content-Length": String(range.end - range.start + 1),
+            });
+        } else {
+            res.set("Content-Length", String(size));
+        }
+        stream.on("error", (e) => {
+            log.error("Shard stream failed", { requestId: req.id, error: e });
+            res.destroy(e);
         });
-        response.data.pipe(res);
+        stream.pipe(res);
     } catch (e) {
-        console.error("Proxy Failed:", e.message);
-        res.status(500).end();
+        log.error("Shard download failed", { requestId: req.id, error: e });
+        res.status(502).json({ error: "Could not read part from storage" });
     }
 });
 
-// 4. GENERATE SIGNATURE (For Client-Side Upload)
-api.post("/sign-upload", (req, res) => {
-  const timestamp = Math.round((new Date).getTime() / 1000);
-  const signature = cloudinary.utils.api_sign_request({
-    timestamp: timestamp,
-    folder: 'quantc_shards'
-  }, process.env.CLOUDINARY_API_SECRET);
-  
-  res.json({ signature, timestamp, apiKey: process.env.CLOUDINARY_API_KEY, cloudName: process.env.CLOUDINARY_CLOUD_NAME });
+// 4. GENERATE UPLOAD TARGET (For Client-Side Upload)
+api.post("/sign-upload", async (req, res) => {
+  const invalid = checkBody(req.body, {
+    sessionId: { type: "string", required: true, pattern: SESSION_ID },
+    index: { type: "integer", required: true, min: 0, max: MAX_SHARDS - 1 },
+  });
+  if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+  try {
+    // Signatures only go to live, unfinished upload sessions, for one of their shards, and only so many per shard
+    const { sessionId, index } = req.body;
+    const session = await UploadSession.findOneAndUpdate(
+      {
+        sessionId,
+        totalShards: { $gt: index },
+        $expr: { $lt: ["$signatures", { $multiply: ["$totalShards", SIGNATURES_PER_SHARD] }] },
+      },
+      { $inc: { signatures: 1 } }
+    );
+    if (!session) {
+      const existing = await UploadSession.findOne({ sessionId }, { totalShards: 1 });
+      if (!existing) return res.status(404).json({ success: false, message: "Upload session not found or expired" });
+      if (index >= existing.totalShards) return res.status(400).json({ success: false, message: "Shard index out of range" });
+      return res.status(409).json({ success: false, message: "Too many upload signatures for this upload" });
+    }
+    res.json({ driver: storage.name, ...storage.uploadTarget({ sessionId, index }) });
+  } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
+    res.status(500).json({ success: false });
+  }
 });
 
 // 5. FINALIZE UPLOAD (Save Metadata)
 api.post("/finalize-upload", async (req, res) => {
   try {
-    const { password, originalName, mimeType, parts, salt, iv } = req.body;
-    
-    let code;
-    let exists = true;
-    while (exists) {
-      code = String(Math.floor(100000 + Math.random() * 900000));
-      exists = await File.exists({ code });
+    const invalid = checkBody(req.body, FINALIZE_SCHEMA);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const { password, encryptedMeta, encryptedManifest, sessionId, salt, recipients } = req.body;
+    const envelope = {
+      version: req.body.version || LEGACY_ENVELOPE.version,
+      kdf: req.body.kdf || LEGACY_ENVELOPE.kdf,
+      chunkSize: req.body.chunkSize || LEGACY_ENVELOPE.chunkSize,
+    };
+    const envelopeError = checkEnvelope(envelope);
+    if (envelopeError) return res.status(400).json({ success: false, message: envelopeError });
+    if (envelope.version >= MANIFEST_VERSION && !encryptedManifest) {
+      return res.status(400).json({ success: false, message: "Missing shard manifest" });
+    }
+    const { limits, error: limitsError } = readLimits(req.body);
+    if (limitsError) return res.status(400).json({ success: false, message: limitsError });
+
+    const session = await UploadSession.findOne({ sessionId });
+    if (!session) return res.status(404).json({ success: false, message: "Upload session not found or expired" });
+    const missing = session.totalShards - receivedShards(session).length;
+    if (missing > 0) return res.status(409).json({ success: false, message: `Upload incomplete: ${missing} shard(s) missing` });
+    if (session.size && Math.ceil(session.size / envelope.chunkSize) !== session.totalShards) {
+      return res.status(400).json({ success: false, message: "Shard count does not match the declared file size" });
     }
 
-    const passwordHash = await bcrypt.hash(password, 10);
+    // Claim the session so a repeated finalize can't create a second record for the same shards
+    const claimed = await UploadSession.deleteOne({ _id: session._id });
+    if (claimed.deletedCount !== 1) return res.status(409).json({ success: false, message: "Upload already finalized" });
 
-    await File.create({
-      code,
-      passwordHash,
-      parts,
-      originalName,
-      mimeType,
+    const { file, manageToken } = await createFile(password, limits, {
+      parts: session.parts,
+      storage: session.storage,
+      encryptedMeta,
+      encryptedManifest,
       salt,
-      iv
+      ...envelope,
+      size: session.size,
+      recipients,
     });
+    counters.uploads.inc();
+    if (session.size) counters.uploadedBytes.inc({}, session.size);
 
-    res.json({ success: true, code });
+    res.json({ success: true, code: file.code, manageToken, expiresAt: file.expiresAt, maxExpiresAt: lifetimeCap(file) });
   } catch (e) {
-    console.error(e);
+    log.error("Request failed", { requestId: req.id, error: e });
     res.status(500).json({ success: false });
   }
 });
 
 // 6. RETRIEVE METADATA
 api.post("/retrieve-meta", async (req, res) => {
+  const invalid = checkBody(req.body, RETRIEVE_SCHEMA);
+  if (invalid) return res.status(400).json({ success: false, message: invalid });
+
   try {
-    const { code, password } = req.body;
-    const file = await File.findOne({ code });
+    const file = await findUnlockedFile(req, res, "retrieve");
+    if (!file) return;
 
-    if (!file) return res.status(404).json({ success: false, message: "File not found or expired" });
+    // Count this retrieval atomically so concurrent requests can't overrun the limit
+    const counted = await File.findOneAndUpdate(
+      {
+        _id: file._id,
+        // Legacy records carry neither field: no limit, nothing counted yet
+        $expr: {
+          $or: [
+            { $lte: [{ $ifNull: ["$maxDownloads", 0] }, 0] },
+            { $lt: [{ $ifNull: ["$downloads", 0] }, "$maxDownloads"] },
+          ],
+        },
+      },
+      { $inc: { downloads: 1 } },
+      { new: true }
+    );
+    const ipHash = hashIp(req.ip);
+    if (!counted) {
+      await recordAttempt(file, "retrieve", "limit_reached", ipHash);
+      return res.status(410).json({ success: false, message: "Download limit reached" });
+    }
+    await recordAttempt(file, "retrieve", "success", ipHash);
 
-    const isValid = await bcrypt.compare(password, file.passwordHash);
-    if (!isValid) return res.status(401).json({ success: false, message: "Wrong password" });
+    let downloadsLeft = null;
+    if (counted.maxDownloads > 0) {
+      downloadsLeft = counted.maxDownloads - counted.downloads;
+      if (downloadsLeft === 0) {
+        // Last allowed retrieval: keep the shards just long enough to be fetched, then burn
+        await File.updateOne({ _id: file._id }, { $min: { expiresAt: new Date(Date.now() + BURN_GRACE_MS) } });
+        setTimeout(() => {
+          destroyFile(counted).catch((e) => log.error("Burn after read failed", { code: counted.code, error: e }));
+        }, BURN_GRACE_MS).unref();
+      }
+    }
 
     res.json({
       success: true,
-      parts: file.parts,
+      downloadsLeft,
+      expiresAt: downloadsLeft === 0 ? null : counted.expiresAt,
+      totalParts: file.parts.length,
+      downloadToken: signDownloadToken(file),
+      encryptedMeta: file.encryptedMeta,
+      encryptedManifest: file.encryptedManifest,
+      snippet: file.snippet,
       originalName: file.originalName,
       mimeType: file.mimeType,
       salt: file.salt,
-      iv: file.iv
+      ...describeEnvelope(file)
+    });
+  } catch (e) {
+    res.status(500).json({ success: false });
+  }
+});
+
+// 7. EXTEND LIFETIME (Anyone holding code + password, up to the configured cap)
+api.post("/extend", async (req, res) => {
+  const invalid = checkBody(req.body, EXTEND_SCHEMA);
+  if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+  try {
+    const { minutes } = req.body;
+    const file = await findUnlockedFile(req, res, "extend");
+    if (!file) return;
+    if (file.maxDownloads > 0 && file.downloads >= file.maxDownloads) {
+      return res.status(410).json({ success: false, message: "Download limit reached" });
+    }
+
+    const cap = lifetimeCap(file);
+    if (file.expiresAt >= cap) {
+      return res.status(409).json({ success: false, message: "File is already at its maximum lifetime", expiresAt: file.expiresAt });
+    }
+
+    const expiresAt = new Date(Math.min(file.expiresAt.getTime() + minutes * 60 * 1000, cap.getTime()));
+    await File.updateOne({ _id: file._id }, { expiresAt });
+    await recordAttempt(file, "extend", "success", hashIp(req.ip));
+
+    res.json({ success: true, expiresAt, capped: expiresAt.getTime() === cap.getTime() });
+  } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
+    res.status(500).json({ success: false });
+  }
+});
+
+// 8. UPLOAD SESSIONS (Resumable uploads)
+api.post("/uploads", async (req, res) => {
+  try {
+    const invalid = checkBody(req.body, UPLOAD_SESSION_SCHEMA);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const { totalShards, size, type, types, files, metaSize, requestKey } = req.body;
+    if (size > MAX_FILE_SIZE) {
+      return res.status(413).json({ success: false, message: `Files are limited to ${Math.floor(MAX_FILE_SIZE / 1024 / 1024)} MB` });
+    }
+    if (totalShards > MAX_SHARDS) {
+      return res.status(413).json({ success: false, message: `Files are limited to ${MAX_SHARDS} parts` });
+    }
+    if (Math.ceil(size / totalShards) > MAX_CHUNK_SIZE) {
+      return res.status(413).json({ success: false, message: `Parts are limited to ${MAX_CHUNK_SIZE} bytes each` });
+    }
+    // Checked now, so a bundle finalize can't refuse after every shard went up
+    if (files > MAX_BUNDLE_FILES) {
+      return res.status(413).json({ success: false, message: `Bundles are limited to ${MAX_BUNDLE_FILES} files` });
+    }
+    if (metaSize > MAX_META_BYTES) {
+      return res.status(413).json({ success: false, message: "File names are too long for one bundle, split it up" });
+    }
+    const typeError = (types || [type]).map(checkMimeType).find(Boolean);
+    if (typeError) return res.status(415).json({ success: false, message: typeError });
+
+    // A retry of a create that already went through gets the same session, and is not charged again
+    const sendSession = (session) => {
+      if (session.totalShards !== totalShards || session.size !== size) {
+        return res.status(409).json({ success: false, message: "Request key already used for a different upload" });
+      }
+      res.json({ success: true, sessionId: session.sessionId, expiresAt: session.expiresAt });
+    };
+    const earlier = requestKey && (await UploadSession.findOne({ requestKey }));
+    if (earlier) return sendSession(earlier);
+
+    const ipHash = hashIp(req.ip);
+    const retryAfterMs = await reserveUploadQuota(ipHash, size);
+    if (retryAfterMs !== null) {
+      return sendTooMany(res, "Upload quota reached for your network, try again later", retryAfterMs);
+    }
+
+    let session;
+    try {
+      session = await UploadSession.create({
+        sessionId: crypto.randomBytes(16).toString("hex"),
+        requestKey,
+        storage: storage.name,
+        totalShards,
+        size,
+        parts: new Array(totalShards).fill(null),
+      });
+    } catch (e) {
+      // A concurrent retry with the same key won the race
+      const winner = e.code === 11000 && requestKey && (await UploadSession.findOne({ requestKey }));
+      if (!winner) throw e;
+      await releaseUploadQuota(ipHash, size);
+      return sendSession(winner);
+    }
+
+    sendSession(session);
+  } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
+    res.status(500).json({ success: false });
+  }
+});
+
+api.get("/uploads/:sessionId", async (req, res) => {
+  try {
+    const session = await UploadSession.findOne({ sessionId: req.params.sessionId });
+    if (!session) return res.status(404).json({ success: false, message: "Upload session not found or expired" });
+
+    res.json({ success: true, totalShards: session.totalShards, received: receivedShards(session) });
+  } catch (e) {
+    res.status(500).json({ success: false });
+  }
+});
+
+// Records a shard the client has stored; also pushes the session expiry forward
+api.put("/uploads/:sessionId/parts/:index", async (req, res) => {
+  try {
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) return res.status(400).json({ success: false, message: "Invalid shard index" });
+    const invalid = checkBody(req.body, { shardId: { type: "string", required: true, maxLength: 255 } });
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+    const { shardId } = req.body;
+
+    // Clients report the id their storage upload returned; it must name this shard in the session's driver
+    const { sessionId } = req.params;
+    const pending = await UploadSession.findOne({ sessionId }).select("storage");
+    if (pending && !getStorage(pending.storage).isValidId(shardId, { sessionId, index })) {
+      return res.status(400).json({ success: false, message: "Invalid shard id" });
+    }
+
+    const session = await UploadSession.findOneAndUpdate(
+      { sessionId, totalShards: { $gt: index } },
+      { $set: { [`parts.${index}`]: shardId, expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS) } },
+      { new: true }
+    );
+    if (!session) return res.status(404).json({ success: false, message: "Upload session not found or index out of range" });
+
+    res.json({ success: true, received: receivedShards(session).length });
+  } catch (e) {
+    res.status(500).json({ success: false });
+  }
+});
+
+// 9. OWNER MANAGEMENT (Authorization: Bearer <manage token from finalize>)
+api.get("/manage/:code", async (req, res) => {
+  try {
+    const file = await findOwnedFile(req, res);
+    if (!file) return;
+    res.json({ success: true, ...describeStatus(file) });
+  } catch (e) {
+    res.status(500).json({ success: false });
+  }
+});
+
+// Changes limits: maxDownloads, lifetimeMinutes (from now), maxFailedAttempts, lockoutAction, unlock
+api.patch("/manage/:code", async (req, res) => {
+  try {
+    const file = await findOwnedFile(req, res);
+    if (!file) return;
+
+    if (file.maxDownloads > 0 && file.downloads >= file.maxDownloads) {
+      return res.status(410).json({ success: false, message: "Download limit reached, the file is being burned" });
+    }
+
+    const { limits, error } = readLimits(req.body, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (limits.maxDownloads > 0 && limits.maxDownloads <= file.downloads) {
+      return res.status(400).json({ success: false, message: `Download limit must be above the ${file.downloads} download(s) already made` });
+    }
+
+    const { lifetimeMinutes, ...update } = limits;
+    if (lifetimeMinutes) {
+      update.expiresAt = new Date(Math.min(Date.now() + lifetimeMinutes * 60 * 1000, lifetimeCap(file).getTime()));
+    }
+    if (req.body.unlock) Object.assign(update, { locked: false, failedAttempts: 0, $unset: { nextAttemptAt: 1 } });
+
+    const updated = await File.findOneAndUpdate({ _id: file._id }, update, { new: true });
+    res.json({ success: true, ...describeStatus(updated) });
+  } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
+    res.status(500).json({ success: false });
+  }
+});
+
+// Password-gated attempts on the file, newest first
+api.get("/manage/:code/access", async (req, res) => {
+  try {
+    const file = await findOwnedFile(req, res);
+    if (!file) return;
+    // Entries written before IP_HASH_SECRET was set would still carry guessable hashes
+    const events = file.accessLog.map(({ at, action, outcome, ipHash }) => (IP_HASH_SECRET ? { at, action, outcome, ipHash } : { at, action, outcome }));
+    res.json({ success: true, events: events.reverse() });
+  } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
+    res.status(500).json({ success: false });
+  }
+});
+
+// Revokes the file right away: shards and record are deleted
+api.delete("/manage/:code", async (req, res) => {
+  try {
+    const file = await findOwnedFile(req, res);
+    if (!file) return;
+    await destroyFile(file);
+    res.json({ success: true });
+  } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
+    res.status(500).json({ success: false });
+  }
+});
+
+// 10. TEXT SNIPPETS (One encrypted block stored in the record, retrieved like any file)
+api.post("/snippets", async (req, res) => {
+  try {
+    const invalid = checkBody(req.body, SNIPPET_SCHEMA);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const { password, salt, snippet, version, kdf, recipients } = req.body;
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      return res.status(400).json({ success: false, message: `Unsupported format version ${version}` });
+    }
+    const kdfError = checkKdf(kdf);
+    if (kdfError) return res.status(400).json({ success: false, message: kdfError });
+    const { limits, error: limitsError } = readLimits(req.body);
+    if (limitsError) return res.status(400).json({ success: false, message: limitsError });
+
+    const size = snippet.length / 2 - SEAL_OVERHEAD;
+    const retryAfterMs = await reserveUploadQuota(hashIp(req.ip), size);
+    if (retryAfterMs !== null) {
+      return sendTooMany(res, "Upload quota reached for your network, try again later", retryAfterMs);
+    }
+
+    const { file, manageToken } = await createFile(password, limits, {
+      parts: [],
+      storage: storage.name,
+      snippet,
+      salt,
+      version,
+      kdf,
+      size,
+      recipients,
     });
+    counters.snippets.inc();
+
+    res.json({ success: true, code: file.code, manageToken, expiresAt: file.expiresAt, maxExpiresAt: lifetimeCap(file) });
+  } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
+    res.status(500).json({ success: false });
+  }
+});
+
+// 11. RECIPIENT KEYS (The file key wrapped for one public key, looked up by its fingerprint)
+// Only the holder of the matching private key can use the answer, so it comes before any
+// password check; misses count against the network like wrong passwords do.
+api.post("/recipient-key", async (req, res) => {
+  const invalid = checkBody(req.body, {
+    code: { type: "string", required: true, pattern: CODE },
+    fingerprint: { type: "string", required: true, pattern: FINGERPRINT },
+  });
+  if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+  try {
+    const ipHash = hashIp(req.ip);
+    if (await sendIfIpThrottled(res, ipHash)) return;
+
+    const file = await File.findOne({ code: req.body.code, expiresAt: { $gt: new Date() } });
+    const entry = file && file.recipients.find((recipient) => recipient.fingerprint === req.body.fingerprint);
+    if (!entry) {
+      await recordIpFailure(ipHash);
+      return res.status(404).json({ success: false, message: "No file for your key under this code" });
+    }
+    if (file.locked) return sendLocked(res);
+
+    res.json({ success: true, ephemeralKey: entry.ephemeralKey, wrappedKey: entry.wrappedKey });
   } catch (e) {
+    log.error("Request failed", { requestId: req.id, error: e });
     res.status(500).json({ success: false });
   }
 });
 
+// 12. DRIVER ROUTES (e.g. the local driver's signed shard uploads, under /api/storage)
+if (storage.router) api.use("/storage", storage.router);
+
 app.use("/api", api);
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
\ No newline at end of file
+
+// Prometheus scrape target, guarded by ADMIN_SECRET like the other admin routes
+app.get("/metrics", async (req, res) => {
+  if (!isAdmin(req)) return res.status(403).json({ error: "Unauthorized" });
+  try {
+    scrapeTotals = null;
+    res.type(metrics.contentType).send(await metrics.render());
+  } catch (e) {
+    log.error("Metrics render failed", { requestId: req.id, error: e });
+    res.status(500).end();
+  }
+});
+
+app.listen(PORT, () => log.info("Server running", { port: Number(PORT) }));
\ No newline at end of file
@@ -0,0 +1,81 @@
+const cloudinary = require("cloudinary").v2;
+const axios = require("axios");
+
+/* Cloudinary driver: the browser uploads shards straight to Cloudinary
+   with a signed request, we only keep the public IDs. */
+function createCloudinaryStorage({ cloudName, apiKey, apiSecret, folder = "quantc_shards" }) {
+  cloudinary.config({ cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret });
+
+  // Old records stored full delivery URLs, newer ones store public IDs
+  function normalizeId(part) {
+    if (!/^https?:\/\//.test(part)) return part;
+    return `${folder}/${part.split("/").pop()}`;
+  }
+
+  // Shards land in `folder` under a generated public ID (raw uploads keep the .dat extension)
+  const idPattern = new RegExp(`^${folder}/[A-Za-z0-9_-]+(?:\\.[A-Za-z0-9]+)?$`);
+
+  function deliveryUrl(id) {
+    return cloudinary.url(normalizeId(id), { resource_type: "raw", secure: true });
+  }
+
+  return {
+    name: "cloudinary",
+
+    // Provider signatures can't name the session; /sign-upload's per-shard budget bounds them instead
+    uploadTarget() {
+      const timestamp = Math.round(Date.now() / 1000);
+      const signature = cloudinary.utils.api_sign_request({ timestamp, folder }, apiSecret);
+      return {
+        url: `https://api.cloudinary.com/v1_1/${cloudName}/raw/upload`,
+        fields: { api_key: apiKey, timestamp, signature, folder },
+        idField: "public_id",
+      };
+    },
+
+    normalizeId,
+
+    // Only IDs in our folder: any other public ID in the account is not a shard. Cloudinary picks
+    // the ID, so it can't be tied to the upload session the way local shard ids are.
+    isValidId: (id) => idPattern.test(id),
+
+    async stat(id) {
+      const response = await axios({ method: "head", url: deliveryUrl(id) });
+      return { size: Number(response.headers["content-length"]) };
+    },
+
+    async fetch(id, range) {
+      const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+      const response = await axios({ method: "get", url: deliveryUrl(id), responseType: "stream", headers });
+      // The CDN may ignore Range and send the whole shard
+      return { stream: response.data, ranged: response.status === 206 };
+    },
+
+    async delete(ids) {
+      // The Admin API takes at most 100 public IDs per call
+      const publicIds = ids.map(normalizeId);
+      for (let i = 0; i < publicIds.length; i += 100) {
+        await cloudinary.api.delete_resources(publicIds.slice(i, i + 100), { resource_type: "raw" });
+      }
+    },
+
+    async *list() {
+      let cursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: "upload",
+          resource_type: "raw",
+          prefix: `${folder}/`,
+          max_results: 500,
+          next_cursor: cursor,
+        });
+        for (const resource of page.resources) {
+          yield { id: resource.public_id, createdAt: new Date(resource.created_at) };
+        }
+        cursor = page.next_cursor;
+      } while (cursor);
+    },
+  };
+}
+
+module.exports = createCloudinaryStorage;
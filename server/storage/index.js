@@ -0,0 +1,45 @@
+const path = require("path");
+const crypto = require("crypto");
+const createCloudinaryStorage = require("./cloudinary");
+const createLocalStorage = require("./local");
+
+/* Every driver exposes the same surface:
+   - uploadTarget({ sessionId, index })
+                      -> { url, fields, idField } the browser posts shard `index` of
+                         that upload session to; drivers that can should make it single-use
+   - normalizeId(id)  -> canonical shard id (maps legacy values)
+   - isValidId(id, { sessionId, index })
+                      -> whether a client-reported id can be that shard of that upload
+                         session (drivers that can't tell check it is one of ours);
+                         anything else is refused before it is stored with a file
+   - stat(id)         -> Promise<{ size }> of the stored shard
+   - fetch(id, range) -> Promise<{ stream, ranged }>; range is an optional inclusive
+                         { start, end }, ranged tells whether it was honoured
+   - delete(ids)      -> Promise, removes the given shards
+   - list()           -> async iterable of { id, createdAt } for every stored shard,
+                         used to find orphans (optional)
+   - router           -> optional express router mounted at /api/storage */
+const factories = {
+  cloudinary: () =>
+    createCloudinaryStorage({
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+      apiSecret: process.env.CLOUDINARY_API_SECRET,
+    }),
+  local: () =>
+    createLocalStorage({
+      dir: path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "..", "uploads")),
+      secret: process.env.STORAGE_SECRET || crypto.randomBytes(32).toString("hex"),
+    }),
+};
+
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || "cloudinary";
+const instances = {};
+
+function getStorage(name = DEFAULT_DRIVER) {
+  if (!factories[name]) throw new Error(`Unknown storage driver "${name}"`);
+  if (!instances[name]) instances[name] = factories[name]();
+  return instances[name];
+}
+
+module.exports = { getStorage, DEFAULT_DRIVER };
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const log = require("../logger");
+
+const ID_PATTERN = /^[a-f0-9]{32}\.dat$/;
+const UPLOAD_TTL = 60 * 60; // Seconds an upload signature stays valid
+
+/* Local-disk driver: shards are posted to this server and written to `dir`.
+   Handy for self-hosting and offline development. */
+function createLocalStorage({ dir, secret }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Nonces of signatures already spent, with their expiry; each signature stores one shard
+  const usedNonces = new Map();
+
+  // Covers the upload session and shard index the signature was issued for, plus a one-off nonce
+  function sign({ expires, session, index, nonce }) {
+    return crypto.createHmac("sha256", secret).update(`${expires}:${session}:${index}:${nonce}`).digest("hex");
+  }
+
+  function verify(query) {
+    const { expires, session, index, nonce, signature } = query;
+    if (!expires || !session || !index || !nonce || !signature || Number(expires) < Date.now() / 1000) return false;
+    const expected = Buffer.from(sign({ expires, session, index, nonce }));
+    const given = Buffer.from(String(signature));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // Marks the signature's nonce as spent; false when it already was
+  function claimNonce(nonce, expires) {
+    const now = Date.now() / 1000;
+    for (const [used, until] of usedNonces) {
+      if (until < now) usedNonces.delete(used);
+    }
+    if (usedNonces.has(nonce)) return false;
+    usedNonces.set(nonce, Number(expires));
+    return true;
+  }
+
+  // A shard's id comes from the upload session and index it was signed for, so an id reported
+  // back to the server can be checked against the shard it claims to be
+  function shardId(session, index) {
+    return `${crypto.createHmac("sha256", secret).update(`shard:${session}:${index}`).digest("hex").slice(0, 32)}.dat`;
+  }
+
+  function resolvePath(id) {
+    if (!ID_PATTERN.test(id)) throw new Error("Invalid shard id");
+    return path.join(dir, id);
+  }
+
+  const router = express.Router();
+  router.post("/shards", express.raw({ type: "application/octet-stream", limit: "10mb" }), async (req, res) => {
+    if (!verify(req.query)) {
+      return res.status(403).json({ error: "Invalid or expired upload signature" });
+    }
+    if (!claimNonce(req.query.nonce, req.query.expires)) {
+      return res.status(403).json({ error: "Upload signature already used" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Empty shard" });
+    }
+
+    try {
+      // A retry of the same shard replaces the earlier attempt
+      const id = shardId(req.query.session, req.query.index);
+      await fs.promises.writeFile(resolvePath(id), req.body);
+      res.json({ id });
+    } catch (e) {
+      log.error("Local storage write failed", { error: e });
+      res.status(500).json({ error: "Could not store shard" });
+    }
+  });
+
+  return {
+    name: "local",
+    router,
+
+    uploadTarget({ sessionId, index }) {
+      const params = {
+        expires: Math.round(Date.now() / 1000) + UPLOAD_TTL,
+        session: sessionId,
+        index: String(index),
+        nonce: crypto.randomBytes(16).toString("hex"),
+      };
+      return {
+        url: `/api/storage/shards?${new URLSearchParams({ ...params, signature: sign(params) })}`,
+        fields: null,
+        idField: "id",
+      };
+    },
+
+    normalizeId: (id) => id,
+
+    isValidId: (id, { sessionId, index }) => id === shardId(sessionId, index),
+
+    async stat(id) {
+      const { size } = await fs.promises.stat(resolvePath(id));
+      return { size };
+    },
+
+    async fetch(id, range) {
+      const file = resolvePath(id);
+      await fs.promises.access(file);
+      return { stream: fs.createReadStream(file, range), ranged: Boolean(range) };
+    },
+
+    async delete(ids) {
+      await Promise.all(ids.map((id) => fs.promises.rm(resolvePath(id), { force: true })));
+    },
+
+    async *list() {
+      for (const id of await fs.promises.readdir(dir)) {
+        if (!ID_PATTERN.test(id)) continue;
+        const stat = await fs.promises.stat(resolvePath(id)).catch(() => null);
+        if (stat) yield { id, createdAt: stat.mtime };
+      }
+    },
+  };
+}
+
+module.exports = createLocalStorage;